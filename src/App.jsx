@@ -1,42 +1,164 @@
-import React, { useEffect, useRef, useState } from "react";
-import { motion, AnimatePresence } from "framer-motion";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { motion, AnimatePresence, MotionConfig, useReducedMotion, useTransform } from "framer-motion";
+import HistoryPanel from "./components/HistoryPanel.jsx";
+import ScheduleEditor from "./components/ScheduleEditor.jsx";
+import BellSoundControls from "./components/BellSoundControls.jsx";
+import SoundscapeMixer from "./components/SoundscapeMixer.jsx";
+import ShortcutHelp from "./components/ShortcutHelp.jsx";
+import ConfirmDialog from "./components/ConfirmDialog.jsx";
+import GuidanceControls from "./components/GuidanceControls.jsx";
+import BreathingControls from "./components/BreathingControls.jsx";
+import GroupSitControls from "./components/GroupSitControls.jsx";
+import SettingsPanel from "./components/SettingsPanel.jsx";
+import { loadHistory, addSession } from "./lib/history.js";
+import { loadPresets, savePreset, deletePreset, phaseAt, describeSchedule } from "./lib/schedules.js";
+import { loadScripts, saveScript, deleteScript, speak, stopSpeaking, primeSpeech, speechSupported } from "./lib/guidance.js";
+import { createSoundscape, loadMixes, saveMix, deleteMix } from "./lib/soundscape.js";
+import { registerServiceWorker, applyUpdate } from "./lib/pwa.js";
+import { startClock } from "./lib/clock.js";
+import { useSession } from "./lib/useSession.js";
+import { BELL_INTERVALS, SESSION_LENGTHS, readUrlConfig, writeUrlConfig, configLink } from "./lib/urlConfig.js";
+import { loadSettings, saveSettings, applySettings, resolveLanguage } from "./lib/settings.js";
+import { createI18n, localError } from "./lib/i18n.js";
+import { I18nContext } from "./lib/useI18n.js";
+import { useBreathPacer } from "./lib/useBreathPacer.js";
+import { createTabLeader } from "./lib/tabLeader.js";
+import { loadPatterns, savePattern, deletePattern, playBreathCue } from "./lib/breathing.js";
+import { createWakeKeeper } from "./lib/wakeLock.js";
+import { ensureAudioContext, unlockMediaElements } from "./lib/audioUnlock.js";
+import { notificationsSupported, requestNotifications, showNotification } from "./lib/notifications.js";
+import { playsSound, showsSignal, vibrate, vibrationPattern } from "./lib/silentBells.js";
+import { setMediaActions, updateMediaSession } from "./lib/mediaSession.js";
+import { saveActiveSession, clearActiveSession, restoreActiveSession } from "./lib/activeSession.js";
+import { BELL_SOUNDS, isSynthesized, renderSynth, encodeWav } from "./lib/bellSounds.js";
 
 // ---- Small helpers ----
 function usePageTitle(title) {
   useEffect(() => { document.title = title; }, [title]);
 }
 
+const ENGINE_CLOCK = { now: () => Date.now(), startTicker: startClock }; // worker-driven ticks
+const isIOS = (typeof navigator !== 'undefined') && /iPad|iPhone|iPod/.test(navigator.userAgent);
+
+// Spoken form for screen readers ("12 minutes 5 seconds" rather than "12:05")
+function spokenDuration(t, totalSecs) {
+  const h = Math.floor(totalSecs / 3600), m = Math.floor((totalSecs % 3600) / 60), s = totalSecs % 60;
+  const part = (count, unit) => count ? t(`duration.${unit}`, { count }) : '';
+  return [part(h, 'hours'), part(m, 'minutes'), part(s, 'seconds')].filter(Boolean).join(' ') || t('duration.seconds', { count: 0 });
+}
+
+// A group sit link is stale once its countdown is over (open-ended sits: after 12 hours)
+const groupSitEnded = (startAt, lengthMin, now = Date.now()) =>
+  lengthMin > 0 ? now >= startAt + lengthMin * 60000 : now - startAt > 12 * 3600000;
+
+function formatClock(totalSecs) {
+  const hours = Math.floor(totalSecs / 3600);
+  const minutes = Math.floor((totalSecs % 3600) / 60);
+  const seconds = totalSecs % 60;
+  return hours > 0
+    ? `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`
+    : `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+}
+
 export default function App() {
-  usePageTitle("ZenSense Ultra Minimal Focus Timer");
+  // ---- Session left running/paused before a reload or tab kill (read once) ----
+  const [restored] = useState(() => restoreActiveSession(loadPresets()));
+  // ---- Setup from a shared link (?bell=15&length=30&sound=bowl); a restored session takes precedence ----
+  const [linked] = useState(() => readUrlConfig(window.location, loadPresets()));
+  const linkConfig = (!restored && linked?.config) || {};
+  const linkGroupEnded = linkConfig.groupStart != null && groupSitEnded(linkConfig.groupStart, linkConfig.sessionLength ?? 0);
+  // ---- Saved settings: appearance plus the last-used setup (lib/settings.js) ----
+  const [settings, setSettings] = useState(loadSettings);
+  const updateSetting = (key, value) => setSettings(s => ({ ...s, [key]: value }));
+  const known = (list, id) => list.some(x => x.id === id);
+  // ---- Language: chosen in settings or detected from the browser (lib/i18n.js) ----
+  const i18n = useMemo(() => createI18n(resolveLanguage(settings.language)), [settings.language]);
+  const { t, name: nameOf } = i18n;
+  const rtl = i18n.dir === 'rtl';
+  usePageTitle(t('app.title'));
 
   // ---- State ----
-  const [elapsed, setElapsed] = useState(0); // seconds
-  const [running, setRunning] = useState(false);
-  const [showTimer, setShowTimer] = useState(false);
-  const [hasStarted, setHasStarted] = useState(false);
-  const [bellInterval, setBellInterval] = useState(10); // minutes
-  const [muted, setMuted] = useState(true); // background music only
+  const [bellInterval, setBellInterval] = useState(() => restored?.bellInterval ?? linkConfig.bellInterval ?? settings.bellInterval); // minutes
+  const [scheduleId, setScheduleId] = useState(() => restored?.scheduleId ?? linkConfig.scheduleId
+    ?? (known(loadPresets(), settings.scheduleId) ? settings.scheduleId : 'interval')); // 'interval' = single fixed period above
+  const [presets, setPresets] = useState(() => loadPresets(t));
+  const [editingSchedule, setEditingSchedule] = useState(false);
+  const [sessionLength, setSessionLength] = useState(() => restored?.sessionLength ?? linkConfig.sessionLength ?? settings.sessionLength); // minutes, 0 = open-ended stopwatch
+  const [resumeNotice, setResumeNotice] = useState(() => !restored ? '' // message key
+    : restored.finished ? 'notice.finishedWhileClosed'
+    : restored.running ? 'notice.resumedRunning'
+    : 'notice.restoredPaused');
+  const [history, setHistory] = useState(loadHistory);
+  const [showHistory, setShowHistory] = useState(false);
+  const [muted, setMuted] = useState(true); // background soundscape only
+  const [mixLevels, setMixLevels] = useState(settings.mixLevels);
+  const [mixes, setMixes] = useState(() => loadMixes(t));
+  const [mixId, setMixId] = useState(() => known(loadMixes(), settings.mixId) ? settings.mixId : '');
+  const [showMixer, setShowMixer] = useState(false);
+  const [scripts, setScripts] = useState(() => loadScripts(t));
+  const [scriptId, setScriptId] = useState(() => restored?.scriptId ?? (known(loadScripts(), settings.scriptId) ? settings.scriptId : '')); // '' = no guided prompts
+  const [guidanceMode, setGuidanceMode] = useState(settings.guidanceMode); // voice | caption | both
+  const [showGuidance, setShowGuidance] = useState(false);
+  const [caption, setCaption] = useState(null); // { text, key } of the prompt shown under the timer
+  const [patterns, setPatterns] = useState(() => loadPatterns(t));
+  const [patternId, setPatternId] = useState(() => known(loadPatterns(), settings.patternId) ? settings.patternId : ''); // '' = breathing pacer off
+  const [breathCues, setBreathCues] = useState(settings.breathCues);
+  const [showBreathing, setShowBreathing] = useState(false);
+  const [waitingWorker, setWaitingWorker] = useState(null); // new build installed, waiting to take over
+  const [bellSounds, setBellSounds] = useState(() => linkConfig.bellSounds ?? settings.bellSounds); // sound id per bell type (start/interval/end)
+  const [bellVolume, setBellVolume] = useState(settings.bellVolume);
+  const [bellMode, setBellMode] = useState(settings.bellMode); // audio | visual | both (see lib/silentBells.js)
+  const [bellPulse, setBellPulse] = useState(null); // { strikes, key } of the bell glowing on screen
+  const [silentOffer, setSilentOffer] = useState(false); // audio looked blocked: offer silent bells
+  const [showSoundControls, setShowSoundControls] = useState(false);
+  const [notifyBells, setNotifyBells] = useState(false); // opt-in system notifications
+  const [showHelp, setShowHelp] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [confirmReset, setConfirmReset] = useState(false);
+  const [announcement, setAnnouncement] = useState(''); // screen-reader live region (state changes and bells only)
+  const [linkNotice, setLinkNotice] = useState(() => !linked ? null // { message (key), vars, key }
+    : restored ? { message: 'link.inProgress', key: 0 }
+    : linked.invalid.length ? { message: 'link.invalid', vars: { params: linked.invalid.join(', ') }, key: 0 }
+    : linkGroupEnded ? { message: 'link.groupEnded', key: 0 }
+    : null);
+  // Group sit: shared absolute start (epoch ms) and, when the link carries one, its own schedule
+  const [groupSit, setGroupSit] = useState(() => restored?.groupStartMs ? { startAt: restored.groupStartMs, schedule: restored.groupSchedule }
+    : linkConfig.groupStart != null && !linkGroupEnded ? { startAt: linkConfig.groupStart, schedule: linkConfig.schedule || null }
+    : null);
+  const [showGroup, setShowGroup] = useState(false);
+  const [bellTab, setBellTab] = useState(true); // false: another tab in this group sit plays the bells
+  const reduceMotion = useReducedMotion();
 
   // ---- Refs (mirrors to avoid re-wiring listeners) ----
   const mutedRef = useRef(true);
-  const runningRef = useRef(false);
-  const hasStartedRef = useRef(false);
-  const userMuteLockedRef = useRef(false); // if user mutes after first start, don't auto‑unmute later
+  const userMuteLockedRef = useRef(restored ? !!restored.userMuteLocked : linkConfig.music === false); // user (or link) muted: don't auto‑unmute on START
+  const bellVolumeRef = useRef(settings.bellVolume);
+  const mixLevelsRef = useRef(settings.mixLevels);
+  const notifyBellsRef = useRef(false);
+  const silentOfferedRef = useRef(false); // the silent-bell offer is made once per visit
+  const callbacksRef = useRef({});        // latest helpers for long-lived listeners (assigned once they exist, below)
 
   useEffect(() => { mutedRef.current = muted; }, [muted]);
-  useEffect(() => { runningRef.current = running; }, [running]);
-  useEffect(() => { hasStartedRef.current = hasStarted; }, [hasStarted]);
+  useEffect(() => { bellVolumeRef.current = bellVolume; }, [bellVolume]);
+  useEffect(() => { mixLevelsRef.current = mixLevels; }, [mixLevels]);
+  useEffect(() => { notifyBellsRef.current = notifyBells; }, [notifyBells]);
+
+  // ---- Settings: apply the theme and remember choices between visits ----
+  useEffect(() => { applySettings(settings); }, [settings]);
+  useEffect(() => {
+    saveSettings({ ...settings, bellInterval, scheduleId, sessionLength, bellSounds, bellVolume, bellMode, mixId, mixLevels, scriptId, guidanceMode, patternId, breathCues });
+  }, [settings, bellInterval, scheduleId, sessionLength, bellSounds, bellVolume, bellMode, mixId, mixLevels, scriptId, guidanceMode, patternId, breathCues]);
 
   // ---- DOM/Audio refs ----
-  const audioElRef = useRef(null);        // background music <audio>
+  const audioElRef = useRef(null);        // background <audio>, plays the soundscape stream
+  const scapeRef = useRef(null);          // generated soundscape (see lib/soundscape.js)
   const bellAudioRef = useRef(null);      // HTMLAudio bell fallback (iOS safe)
   const bellCtxRef = useRef(null);        // WebAudio for bell (desktop/Android)
-  const bellBufferRef = useRef(null);
-  const wakeLockRef = useRef(null);
+  const bellBuffersRef = useRef({});     // decoded/synthesized AudioBuffers by sound id
+  const bellElsRef = useRef({});         // HTMLAudio elements for synthesized sounds (WAV blob URLs)
   const noSleepVideoRef = useRef(null);
-  const anchorMsRef = useRef(null);      // when running, Date.now() anchor
-  const offsetMsRef = useRef(0);         // accumulated ms across runs/pauses
-  const lastBellCountRef = useRef(0);    // how many bells have fired based on elapsed time     // next bell wall‑clock time
+  const recordedRef = useRef(false);     // current session already written to history
+  const [wake] = useState(() => createWakeKeeper(() => noSleepVideoRef.current));
 
   // --- Mobile dim mode (optional) ---
   const [dimActive, setDimActive] = useState(false);
@@ -45,81 +167,341 @@ export default function App() {
   // ---- Constants ----
   const TARGET_VOL = 0.18;
   const QUIET_VOL = 0.0001;               // keep‑alive when hidden + muted
-  const isIOS = (typeof navigator !== 'undefined') && /iPad|iPhone|iPod/.test(navigator.userAgent);
   const basePath = window.location.pathname.includes('/zensense') ? '/zensense/' : '/';
-  const AUDIO_SRC = `${basePath}meditation_1_low10mb.mp3`;
   const BELL_SRC  = `${basePath}bells-1-72261.mp3`;
 
-  // ---- Bell playback (never muted) ----
-  const playBell = () => {
+  // ---- Offline support: service worker scoped to the detected base path ----
+  useEffect(() => registerServiceWorker(basePath, setWaitingWorker), [basePath]);
+  const BELL_STRIKES = { interval: 1, work: 1, break: 2, longBreak: 4, end: 3 }; // each bell kind has its own strike count, so they differ by ear
+  const STRIKE_GAP_MS = 2500;
+  const bellTitle = (kind) => t(`bell.${kind}`); // interval | work | break | longBreak | end
+
+  // ---- Screen-reader announcements (cleared first so repeats are read again) ----
+  const announceTimerRef = useRef(null);
+  const announce = (msg) => {
+    setAnnouncement('');
+    clearTimeout(announceTimerRef.current);
+    announceTimerRef.current = setTimeout(() => setAnnouncement(msg), 60);
+  };
+
+  // ---- Bell playback (the soundscape mute never silences it; the bell mode can) ----
+  const bellElFor = (id) => id === 'bell' ? bellAudioRef.current : bellElsRef.current[id];
+  // Elements carrying a WAV with the volume baked in (iOS) play at full element volume
+  const elVolume = (el, vol) => el.dataset.baked ? 1 : vol;
+
+  const startBellSource = (ctx, buf, vol, at = 0) => {
+    const src = ctx.createBufferSource();
+    const g = ctx.createGain();
+    g.gain.setValueAtTime(vol, ctx.currentTime);
+    src.buffer = buf;
+    src.connect(g); g.connect(ctx.destination);
+    src.start(at);
+    src.onended = () => { try { src.disconnect(); g.disconnect(); } catch { /* ignore */ } };
+    return src;
+  };
+
+  // Playback refused without a user gesture: offer silent bells instead (once, and only to sound-only users)
+  const offerSilentBells = () => {
+    if (bellMode !== 'audio' || silentOfferedRef.current) return;
+    silentOfferedRef.current = true;
+    setSilentOffer(true);
+  };
+  const onPlayRejected = (e) => { if (e && e.name === 'NotAllowedError') offerSilentBells(); };
+
+  const playBell = (type = 'interval') => {
+    if (!playsSound(bellMode)) return;
+    const id = bellSounds[type] || 'bell';
+    const vol = bellVolumeRef.current;
     // On iOS, HTMLAudio path is the most reliable. Else prefer WebAudio.
-    if (isIOS && bellAudioRef.current) {
-      const b = bellAudioRef.current;
-      try { b.muted = false; b.volume = 1; b.currentTime = 0; } catch {}
-      const p = b.play(); if (p && p.catch) p.catch(() => {});
+    if (isIOS && bellElFor(id)) {
+      const b = bellElFor(id);
+      try { b.muted = false; b.volume = elVolume(b, vol); b.currentTime = 0; } catch { /* ignore */ }
+      const p = b.play(); if (p && p.catch) p.catch(onPlayRejected);
       return;
     }
     // WebAudio first for non‑iOS
     const ctx = bellCtxRef.current;
-    const buf = bellBufferRef.current;
+    const buf = bellBuffersRef.current[id];
     if (ctx && buf) {
       try {
         if (ctx.state !== 'running') { ctx.resume().catch(() => {}); }
-        const src = ctx.createBufferSource();
-        const g = ctx.createGain();
-        g.gain.setValueAtTime(1, ctx.currentTime);
-        src.buffer = buf;
-        src.connect(g); g.connect(ctx.destination);
-        src.start();
-        src.onended = () => { try { src.disconnect(); g.disconnect(); } catch {} };
+        startBellSource(ctx, buf, vol);
         return;
       } catch {}
     }
     // Fallback: HTMLAudio element (ensure not muted)
-    const b = bellAudioRef.current;
+    const b = bellElFor(id) || bellAudioRef.current;
     if (b) {
-      try { b.muted = false; b.volume = 1; b.currentTime = 0; } catch {}
-      const p = b.play(); if (p && p.catch) p.catch(() => {});
+      try { b.muted = false; b.volume = elVolume(b, vol); b.currentTime = 0; } catch { /* ignore */ }
+      const p = b.play(); if (p && p.catch) p.catch(onPlayRejected);
       return;
     }
     // Last chance: ephemeral element
     try {
       const ep = new Audio(BELL_SRC);
-      ep.preload = 'auto'; ep.loop = false; ep.volume = 1; ep.muted = false;
-      const p = ep.play(); if (p && p.catch) p.catch(() => {});
+      ep.preload = 'auto'; ep.loop = false; ep.volume = vol; ep.muted = false;
+      const p = ep.play(); if (p && p.catch) p.catch(onPlayRejected);
     } catch {}
   };
 
-  // ---- Background music element: autoplay muted & loop (mount once) ----
+  // ---- Bell kinds: interval/phase/closing bells differ by number of spaced strikes ----
+  const strikeTimersRef = useRef([]);
+  const strikeSourcesRef = useRef([]);   // strikes queued on the AudioContext timeline
+  const stopQueuedSources = (list) => {
+    const ctx = bellCtxRef.current;
+    list.forEach(({ src, at }) => { if (!ctx || at > ctx.currentTime) { try { src.stop(); } catch { /* ignore */ } } });
+  };
+  const clearStrikes = () => {
+    strikeTimersRef.current.forEach(t => clearTimeout(t));
+    strikeTimersRef.current = [];
+    stopQueuedSources(strikeSourcesRef.current);
+    strikeSourcesRef.current = [];
+  };
+  const bellTypeFor = (kind) => kind === 'end' || kind === 'start' ? kind : 'interval'; // Pomodoro phase bells use the interval sound
+  const ringBell = (kind) => {
+    const type = bellTypeFor(kind);
+    clearStrikes();
+    playBell(type);
+    for (let i = 1; i < (BELL_STRIKES[kind] || 1); i++) {
+      strikeTimersRef.current.push(setTimeout(() => playBell(type), i * STRIKE_GAP_MS));
+    }
+  };
+
+  // ---- Ahead-of-time bells: queued on the AudioContext clock so hidden/locked tabs ring on time ----
+  // Only the WebAudio path can be queued; iOS (HTMLAudio) rings from the worker clock tick instead.
+  const queuedBellRef = useRef(null);     // { key, sources } for the next bell/closing bell
+  const queueStrikes = (kind, delayMs) => {
+    const type = bellTypeFor(kind);
+    const ctx = bellCtxRef.current;
+    const buf = bellBuffersRef.current[bellSounds[type] || 'bell'];
+    if (!playsSound(bellMode) || isIOS || !ctx || ctx.state !== 'running' || !buf) return null;
+    const t0 = ctx.currentTime + Math.max(0, delayMs) / 1000;
+    try {
+      return Array.from({ length: BELL_STRIKES[kind] || 1 }, (_, i) => {
+        const at = t0 + (i * STRIKE_GAP_MS) / 1000;
+        return { src: startBellSource(ctx, buf, bellVolumeRef.current, at), at };
+      });
+    } catch { return null; }
+  };
+  const cancelQueuedBell = () => {
+    if (queuedBellRef.current) stopQueuedSources(queuedBellRef.current.sources);
+    queuedBellRef.current = null;
+  };
+  // True if this bell was queued and the context kept running, i.e. it has rung (or is ringing) already
+  const takeQueuedBell = (key) => {
+    const q = queuedBellRef.current;
+    if (!q) return false;
+    queuedBellRef.current = null;
+    if (q.key === key && bellCtxRef.current && bellCtxRef.current.state === 'running') {
+      strikeTimersRef.current.forEach(t => clearTimeout(t)); strikeTimersRef.current = [];
+      strikeSourcesRef.current = q.sources;
+      return true;
+    }
+    stopQueuedSources(q.sources);
+    return false;
+  };
+
+  // ---- Silent bells: a glow per strike on every tab, a vibration from the bell tab only ----
+  const signalBell = (kind, strikes = BELL_STRIKES[kind] || 1) => {
+    if (!showsSignal(bellMode)) return;
+    setBellPulse({ strikes, key: Date.now() });
+    if (isBellTab()) vibrate(vibrationPattern(strikes, STRIKE_GAP_MS));
+  };
+
+  const notifyBell = (kind, atMs) => {
+    if (!notifyBellsRef.current || !isBellTab()) return;
+    // Only when the bell might go unheard: tab hidden or audio not running
+    if (!document.hidden && bellCtxRef.current && bellCtxRef.current.state === 'running') return;
+    showNotification(`ZenSense · ${bellTitle(kind)}`, t('notify.elapsed', { time: formatClock(Math.floor(atMs / 1000)) }));
+  };
+
+  const toggleNotifications = async () => {
+    if (notifyBells) { setNotifyBells(false); return; }
+    const permission = await requestNotifications();
+    setNotifyBells(permission === 'granted');
+  };
+
+  // Audio sink for the session engine: ring now, or queue ahead on the AudioContext clock
+  // In a group sit only one tab per machine sounds (see lib/tabLeader.js)
+  const groupLeaderRef = useRef(null);
+  const isBellTab = () => !groupLeaderRef.current || groupLeaderRef.current.isLeader();
+  const bellSink = {
+    ring: (kind) => {
+      signalBell(kind);
+      if (!isBellTab()) return;
+      // Proactively resume context each time to avoid long‑idle suspension on some mobile browsers
+      try { bellCtxRef.current && bellCtxRef.current.resume && bellCtxRef.current.resume(); } catch { /* ignore */ }
+      ringBell(kind);
+    },
+    queue: (key, kind, delayMs) => {
+      if (!isBellTab()) return false;
+      const sources = queueStrikes(kind, delayMs);
+      if (!sources) return false;
+      queuedBellRef.current = { key, kind, sources };
+      return true;
+    },
+    // A queued bell rings off the AudioContext clock; its glow follows when the engine catches up
+    consume: (key) => {
+      const q = queuedBellRef.current;
+      const played = takeQueuedBell(key);
+      if (played) signalBell(q.kind);
+      return played;
+    },
+    cancel: cancelQueuedBell,
+  };
+
+  const previewBell = (type) => {
+    try { bellCtxRef.current && bellCtxRef.current.state !== 'running' && bellCtxRef.current.resume().catch(() => {}); } catch { /* ignore */ }
+    clearStrikes();
+    playBell(type);
+    signalBell(type, 1);
+  };
+
+  // ---- Active bell schedule ----
+  const activePreset = scheduleId === 'interval' ? null : presets.find(p => p.id === scheduleId);
+  const groupPlan = groupSit && groupSit.schedule;
+  const schedule = useMemo(() => groupPlan || (activePreset ? activePreset.schedule : { type: 'interval', every: bellInterval }), [groupPlan, activePreset, bellInterval]);
+
+  const saveSchedule = (name, sched) => {
+    const { presets: next, preset } = savePreset(presets, name, sched, t); // throws on an empty schedule
+    setPresets(next); setScheduleId(preset.id); setEditingSchedule(false);
+  };
+  const removeSchedule = () => {
+    if (!activePreset || activePreset.builtin) return;
+    setPresets(deletePreset(presets, activePreset.id)); setScheduleId('interval');
+  };
+
+  // ---- Guided script: prompts become engine cues, so they follow the pause-aware elapsed time ----
+  const activeScript = scripts.find(s => s.id === scriptId) || null;
+  const cues = activeScript ? activeScript.prompts : null;
+  // Silent bells keep the whole session quiet: prompts then show as captions instead
+  const speaks = playsSound(bellMode) && guidanceMode !== 'caption' && speechSupported();
+
+  // Built-in scripts are written in English: read them with an English voice whatever the UI language
+  const scriptLang = activeScript && activeScript.builtin ? 'en' : undefined;
+  const deliverPrompt = (text) => {
+    if (speaks && isBellTab()) speak(text, { volume: Math.max(0.2, bellVolumeRef.current), lang: scriptLang });
+    if (!speaks || guidanceMode === 'both') { setCaption({ text, key: Date.now() }); if (!speaks) announce(text); }
+  };
+
   useEffect(() => {
-    const a = audioElRef.current; if (!a) return;
-    try { a.autoplay = true; a.defaultMuted = true; a.muted = true; } catch {}
-    try { a.loop = true; a.preload = 'auto'; a.volume = TARGET_VOL; a.setAttribute('playsinline',''); } catch {}
+    if (!caption) return;
+    const t = setTimeout(() => setCaption(null), 10000);
+    return () => clearTimeout(t);
+  }, [caption]);
+
+  const storeScript = (name, text) => {
+    const { scripts: next, script } = saveScript(scripts, name, text, t); // throws on a parse error
+    setScripts(next); setScriptId(script.id);
+  };
+  const removeScript = (id) => { setScripts(deleteScript(scripts, id)); if (id === scriptId) setScriptId(''); };
 
-    const onEnded = () => { try { a.currentTime = 0; } catch {}; const p = a.play(); if (p && p.catch) p.catch(() => {}); };
-    a.addEventListener('ended', onEnded);
+  // ---- Session history: save a finished sit once (on completion or RESET) ----
+  const recordSession = (completed, snap) => {
+    if (recordedRef.current || !snap || snap.startedAt == null) return;
+    recordedRef.current = true;
+    // A group sit counts from its shared start: credit a late joiner only from when they joined
+    const late = snap.lateMs || 0;
+    const durationSec = Math.max(0, Math.floor((snap.elapsedMs - late) / 1000));
+    if (durationSec < 1) return;
+    setHistory(addSession({
+      startedAt: snap.startedAt + late, endedAt: Date.now(), durationSec,
+      bellInterval, schedule: groupSit ? 'Group sit' : activePreset ? activePreset.name : '', sessionLength, pauses: snap.pauses, completed,
+    }));
+  };
+
+  // ---- Soundscape: WebAudio layers, played through the background <audio> element ----
+  // Needs the (unlocked) bell context, so it is created lazily from a user gesture.
+  const ensureSoundscape = () => {
+    const ctx = bellCtxRef.current; if (!ctx) return null;
+    if (scapeRef.current && scapeRef.current.ctx === ctx) return scapeRef.current;
+    try { scapeRef.current?.stop(); } catch { /* ignore */ }
+    const scape = createSoundscape(ctx, mixLevelsRef.current);
+    const a = audioElRef.current;
+    if (a && scape.stream) { try { a.srcObject = scape.stream; } catch { /* ignore */ } }
+    scapeRef.current = scape;
+    return scape;
+  };
+
+  // Mute/volume live on the <audio> element; without MediaStream support, on the mixer master gain
+  const applyMusic = (mute, vol = TARGET_VOL) => {
+    const a = audioElRef.current;
+    if (a) {
+      try { a.muted = mute; a.volume = vol; } catch { /* ignore */ }
+      if (!mute) { const p = a.play(); if (p && p.catch) p.catch(() => {}); }
+    }
+    const scape = scapeRef.current;
+    if (scape && !scape.stream) scape.setMaster(mute ? 0 : vol);
+  };
+
+  useEffect(() => { scapeRef.current?.setLevels(mixLevels); }, [mixLevels]);
+
+  const changeMixLevel = (id, v) => { setMixLevels(l => ({ ...l, [id]: v })); setMixId(''); };
+  const selectMix = (id) => { const m = mixes.find(x => x.id === id); if (m) { setMixLevels(m.levels); setMixId(id); } };
+  const storeMix = (name) => { const { mixes: next, mix } = saveMix(mixes, name, mixLevels, t); setMixes(next); setMixId(mix.id); };
+  const removeMix = (id) => { setMixes(deleteMix(mixes, id)); setMixId(''); };
+
+  // ---- Background element: muted until first START; visibility keep-alive (mount once) ----
+  useEffect(() => {
+    const a = audioElRef.current; if (!a) return;
+    try { a.autoplay = true; a.defaultMuted = true; a.muted = true; } catch { /* ignore */ }
+    try { a.volume = TARGET_VOL; a.setAttribute('playsinline',''); } catch { /* ignore */ }
 
     const onVis = () => {
       if (!document.hidden) {
-        if (!mutedRef.current) { a.muted = false; a.volume = TARGET_VOL; const p = a.play(); if (p && p.catch) p.catch(() => {}); }
-        else { a.muted = true; a.volume = TARGET_VOL; }
-      } else if (mutedRef.current && runningRef.current) {
+        applyMusic(mutedRef.current);
+      } else if (mutedRef.current && callbacksRef.current.isRunning()) {
         // Keep tiny volume while hidden to prevent some platforms from fully suspending the pipeline
-        a.muted = false; a.volume = QUIET_VOL;
+        applyMusic(false, QUIET_VOL);
       }
     };
     document.addEventListener('visibilitychange', onVis);
 
-    // Kick autoplay (muted)
-    const n = a.play(); if (n && n.catch) n.catch(() => {});
-
     return () => {
-      try { a.pause(); } catch {}
-      try { a.removeEventListener('ended', onEnded); } catch {}
+      try { a.pause(); } catch { /* ignore */ }
       document.removeEventListener('visibilitychange', onVis);
+      try { scapeRef.current?.stop(); } catch { /* ignore */ }
     };
   }, []);
 
+  // ---- Bell HTMLAudio elements: synthesized sounds as WAV blobs; on iOS the volume is baked in ----
+  const bellUrlsRef = useRef({});
+  const refreshBellElements = () => {
+    const buffers = bellBuffersRef.current;
+    Object.keys(buffers).forEach(id => {
+      if (!isSynthesized(id) && !isIOS) return; // desktop plays the recorded bell from its file
+      const url = URL.createObjectURL(encodeWav(buffers[id], isIOS ? bellVolumeRef.current : 1));
+      let el = bellElFor(id);
+      if (!el) { el = new Audio(); el.preload = 'auto'; el.loop = false; el.setAttribute('playsinline', ''); bellElsRef.current[id] = el; }
+      try { el.src = url; el.load(); } catch { /* ignore */ }
+      if (isIOS) el.dataset.baked = '1';
+      if (bellUrlsRef.current[id]) URL.revokeObjectURL(bellUrlsRef.current[id]);
+      bellUrlsRef.current[id] = url;
+    });
+  };
+
+  // iOS ignores HTMLAudio volume, so re-encode the bells when the slider settles
+  useEffect(() => {
+    if (!isIOS) return;
+    const t = setTimeout(() => callbacksRef.current.refreshBellElements(), 300);
+    return () => clearTimeout(t);
+  }, [bellVolume]);
+
+  // ---- Synthesize the generated bells once (no download needed) ----
+  useEffect(() => {
+    let abort = false;
+    (async () => {
+      for (const { id } of BELL_SOUNDS.filter(s => isSynthesized(s.id))) {
+        try {
+          const buf = await renderSynth(id); if (abort) return;
+          if (buf) bellBuffersRef.current[id] = buf;
+        } catch { /* ignore */ }
+      }
+      if (!abort) callbacksRef.current.refreshBellElements();
+    })();
+    return () => { abort = true; };
+  }, []);
+
   // ---- Preload bell (HTMLAudio + WebAudio buffer) ----
   useEffect(() => {
     // Ensure the bell <audio> element is wired with source and ready
@@ -141,83 +523,35 @@ export default function App() {
           ctx.decodeAudioData(arr, (buf) => { if (!settled) { settled = true; resolve(buf); } }, (e) => { if (!settled) { settled = true; reject(e); } });
           setTimeout(async () => { if (!settled && ctx.decodeAudioData.length === 1) { try { const buf = await ctx.decodeAudioData(arr); settled = true; resolve(buf); } catch (e) { settled = true; reject(e); } } }, 0);
         });
-        if (!abort) bellBufferRef.current = decoded;
+        if (!abort) { bellBuffersRef.current.bell = decoded; if (isIOS) callbacksRef.current.refreshBellElements(); }
       } catch {}
     })();
     return () => { abort = true; };
   }, [BELL_SRC]);
 
-  // ---- Timer & bell scheduler (wall‑clock anchored but pause‑aware) ----
-  useEffect(() => {
-    let id;
-    const tick = () => {
-      if (!runningRef.current) return;
-      const now = Date.now();
-      if (anchorMsRef.current == null) anchorMsRef.current = now; // safety
-      const elapsedMs = offsetMsRef.current + (now - anchorMsRef.current);
-      const secs = Math.max(0, Math.floor(elapsedMs / 1000));
-      if (secs !== elapsed) setElapsed(secs);
-
-      // Bell scheduling based on elapsed timer time (respects pause).
-      const period = bellInterval * 60000; // ms
-      if (period > 0) {
-        const countNow = Math.floor(elapsedMs / period);
-        if (countNow > lastBellCountRef.current) {
-          // Proactively resume context each time to avoid long‑idle suspension on some mobile browsers
-          try { bellCtxRef.current && bellCtxRef.current.resume && bellCtxRef.current.resume(); } catch {}
-          playBell();
-          lastBellCountRef.current = countNow;
-        }
-      }
-    };
-    if (running) id = setInterval(tick, 250);
-    return () => { if (id) clearInterval(id); };
-  }, [running, bellInterval, elapsed]);
-
-  // ---- Keep screen awake while running & tab visible ----
-  const requestWakeLock = async () => {
-    try {
-      if (navigator.wakeLock && navigator.wakeLock.request) {
-        try { await wakeLockRef.current?.release?.(); } catch {}
-        wakeLockRef.current = await navigator.wakeLock.request('screen');
-      }
-    } catch { /* ignore */ }
-  };
-  const releaseWakeLock = async () => {
-    try { await wakeLockRef.current?.release?.(); } catch {}
-    wakeLockRef.current = null;
-  };
-  const ensureNoSleepVideo = () => {
-    const v = noSleepVideoRef.current; if (!v) return;
-    try { v.muted = true; v.loop = true; v.setAttribute('playsinline',''); } catch {}
-    const p = v.play(); if (p && p.catch) p.catch(() => {});
-  };
-
   useEffect(() => {
-    const isMobile = () => window.matchMedia && window.matchMedia('(max-width: 680px)').matches;
+    const canDim = () => settings.dimMode === 'always'
+      || (settings.dimMode === 'mobile' && window.matchMedia && window.matchMedia('(max-width: 680px)').matches);
 
     const syncWake = () => {
-      if (document.visibilityState === 'visible' && runningRef.current) {
-        requestWakeLock();
-        ensureNoSleepVideo();
-        if (isMobile()) setDimActive(true);
+      if (document.visibilityState === 'visible' && callbacksRef.current.isRunning()) {
+        wake.keepAwake();
+        if (canDim()) setDimActive(true);
       } else {
-        releaseWakeLock();
-        try { noSleepVideoRef.current?.pause?.(); } catch {}
+        wake.allowSleep();
         setDimActive(false);
       }
     };
 
     const nudgeUndim = () => {
-      // Any interaction temporarily undims; re-dim after 15s if still eligible
+      // Any interaction temporarily undims; re-dim after the configured delay if still eligible
       if (dimActive) setDimActive(false);
       if (dimTimerRef.current) clearTimeout(dimTimerRef.current);
       dimTimerRef.current = setTimeout(() => {
-        const mobile = window.matchMedia && window.matchMedia('(max-width: 680px)').matches;
-        if (document.visibilityState === 'visible' && runningRef.current && mobile) {
+        if (document.visibilityState === 'visible' && callbacksRef.current.isRunning() && canDim()) {
           setDimActive(true);
         }
-      }, 15000);
+      }, settings.dimDelay * 1000);
     };
 
     document.addEventListener('visibilitychange', syncWake);
@@ -230,130 +564,346 @@ export default function App() {
       window.removeEventListener('keydown', nudgeUndim);
       if (dimTimerRef.current) clearTimeout(dimTimerRef.current);
     };
-  }, [dimActive]);
+  }, [dimActive, settings.dimMode, settings.dimDelay, wake]);
 
-  // ---- Controls ----
-  const start = async () => {
-    const firstStart = !hasStartedRef.current;
-    // set anchors for pause-aware timing
-    const now = Date.now();
-    if (!runningRef.current) {
-      if (anchorMsRef.current == null) anchorMsRef.current = now;
+  // ---- Session engine: pause-aware timing and bells (lib/sessionEngine.js) ----
+  const onSessionEvent = (ev) => {
+    switch (ev.type) {
+      case 'join':
+        announce(t('announce.joined', { duration: spokenDuration(t, ev.snapshot.startsInSecs) })); persistSession(); break;
+      case 'start':
+        recordedRef.current = false;
+        announce(!ev.group ? t('announce.started')
+          : ev.lateMs > 5000 ? t('announce.joinedLate', { duration: spokenDuration(t, Math.floor(ev.lateMs / 1000)) }) : t('announce.groupStarted'));
+        persistSession(); break;
+      case 'resume':
+        announce(t('announce.resumed')); persistSession(); break;
+      case 'pause':
+        announce(t('announce.paused', { duration: spokenDuration(t, ev.snapshot.elapsedSecs) }));
+        stopSpeaking(); wake.allowSleep(); persistSession(); break;
+      case 'cue':
+        deliverPrompt(ev.cue.text); break;
+      case 'bell':
+        notifyBell(ev.kind, ev.atMs);
+        announce(t('announce.bell', { bell: bellTitle(ev.kind), duration: spokenDuration(t, Math.floor(ev.atMs / 1000)) }));
+        persistSession(); break;
+      case 'finish':
+        recordSession(true, ev.snapshot); clearActiveSession();
+        notifyBell('end', ev.atMs);
+        announce(t('announce.finished', { duration: spokenDuration(t, Math.floor(ev.atMs / 1000)) }));
+        wake.allowSleep(); break;
+      case 'reset':
+        recordSession(false, ev.previous); clearActiveSession();
+        stopSpeaking(); setCaption(null);
+        announce(t('announce.reset')); break;
+      default:
     }
-    setRunning(true); runningRef.current = true;
-    setShowTimer(true); setHasStarted(true); hasStartedRef.current = true;
+  };
+
+  const { engine, running, hasStarted, finished, waiting, startsInSecs, elapsedSecs: elapsed } = useSession({
+    schedule, sessionLength, cues, clock: ENGINE_CLOCK, audio: bellSink, onEvent: onSessionEvent, restore: restored,
+  });
+  const isRunning = () => engine.getSnapshot().running;
+  const showTimer = hasStarted;
+
+  // ---- Breathing pacer: the main circle breathes with the pattern on the session's elapsed time ----
+  const activePattern = patterns.find(p => p.id === patternId) || null;
+  const { expansion, breath } = useBreathPacer(engine, activePattern && activePattern.pattern, {
+    running, hasStarted: hasStarted && !finished,
+    onPhase: (phase) => { if (breathCues && playsSound(bellMode)) playBreathCue(bellCtxRef.current, phase, bellVolumeRef.current); },
+  });
+  const circleScale = useTransform(expansion, [0, 1], [0.8, 1.05]);
+  const pacing = !!breath;
+
+  const storePattern = (name, pattern) => {
+    const { patterns: next, pattern: entry } = savePattern(patterns, name, pattern); // throws on an invalid pattern
+    setPatterns(next); setPatternId(entry.id);
+  };
+  const removePattern = (id) => { setPatterns(deletePattern(patterns, id)); if (id === patternId) setPatternId(''); };
 
+  // ---- Group sit: bells come from the shared start time; tabs on this machine elect one bell tab ----
+  const groupStart = groupSit && hasStarted ? groupSit.startAt : null;
+  useEffect(() => {
+    if (groupStart == null) return;
+    const leader = createTabLeader(`zensense-group-${groupStart}`, { onChange: setBellTab });
+    groupLeaderRef.current = leader; setBellTab(leader.isLeader());
+    return () => { leader.close(); groupLeaderRef.current = null; setBellTab(true); };
+  }, [groupStart]);
+
+  const groupLink = (startAt) => configLink(basePath, { ...linkSetup(), groupStart: startAt, schedule });
+  const createGroupSit = (startAt) => {
+    if (groupSitEnded(startAt, sessionLength)) throw localError('group.startPassed');
+    setGroupSit({ startAt, schedule });
+    copyText(groupLink(startAt), 'link.groupCreated');
+  };
+
+  // ---- Controls ----
+  const start = async () => {
+    const firstStart = !engine.getSnapshot().hasStarted;
     // (Re)unlock audio each start/resume — some browsers suspend after long idle
-    try {
-      const AC = window.AudioContext || window.webkitAudioContext;
-      if (AC) {
-        if (!bellCtxRef.current || bellCtxRef.current.state === 'closed') bellCtxRef.current = new AC();
-        if (bellCtxRef.current.state !== 'running') await bellCtxRef.current.resume().catch(() => {});
-      }
-    } catch {}
+    const ctx = await ensureAudioContext(bellCtxRef);
+    if (ctx && ctx.state !== 'running') offerSilentBells();
+    // Unlock every bell element inside the gesture so any sound can play later
+    if (firstStart && isIOS) await unlockMediaElements([bellAudioRef.current, ...Object.values(bellElsRef.current)]);
+    if (activeScript && speaks) primeSpeech();
 
-    if (firstStart) {
-      lastBellCountRef.current = 0; // reset bell counter for new session
-      // Prime both audio systems inside the user gesture
-      try {
-        const AC = window.AudioContext || window.webkitAudioContext;
-        if (AC) {
-          if (!bellCtxRef.current || bellCtxRef.current.state === 'closed') bellCtxRef.current = new AC();
-          if (bellCtxRef.current.state !== 'running') await bellCtxRef.current.resume().catch(() => {});
-        }
-      } catch {}
-      if (isIOS && bellAudioRef.current) {
-        try {
-          const b = bellAudioRef.current; const pv = b.volume;
-          b.volume = 0; const p = b.play(); if (p && p.catch) await p.catch(() => {});
-          try { b.pause(); } catch {} b.currentTime = 0; b.volume = pv;
-        } catch {}
-      }
-      playBell();
-    }
+    // (Re)attach the soundscape to the current context; keeps its muted/unmuted state
+    if (ensureSoundscape()) applyMusic(mutedRef.current);
 
-    // First START always unmutes music unless user muted after starting
-    const a = audioElRef.current;
-    if (firstStart && a && !userMuteLockedRef.current) {
-      try { a.muted = false; a.volume = TARGET_VOL; const p = a.play(); if (p && p.catch) p.catch(() => {}); } catch {}
-      setMuted(false);
+    // First START unmutes music unless the user (or the link) muted it
+    if (firstStart && !userMuteLockedRef.current) {
+      applyMusic(false);
+      setMuted(false); mutedRef.current = false;
       userMuteLockedRef.current = false;
     }
 
+    if (groupSit && firstStart) engine.join(groupSit.startAt); // counts down, then rings on the shared start
+    else engine.start(); // a fresh session rings the start bell
     // Keep screen awake while running & visible
-    requestWakeLock();
-    ensureNoSleepVideo();
+    wake.keepAwake();
   };
 
-  const pause = () => {
-    if (!runningRef.current) return;
-    const now = Date.now();
-    if (anchorMsRef.current != null) {
-      offsetMsRef.current += (now - anchorMsRef.current);
-      anchorMsRef.current = null; // clear anchor while paused
-    }
-    setRunning(false); runningRef.current = false;
-    // release wake and pause helper video
-    releaseWakeLock();
-    try { noSleepVideoRef.current?.pause?.(); } catch {}
-  };
+  const pause = () => engine.pause();
 
   const reset = () => {
-    setRunning(false); runningRef.current = false;
-    setElapsed(0); setShowTimer(false); setHasStarted(false); hasStartedRef.current = false;
-    // clear timing
-    anchorMsRef.current = null; offsetMsRef.current = 0; lastBellCountRef.current = 0;
-    // release wake and pause helper video
-    releaseWakeLock();
-    try { noSleepVideoRef.current?.pause?.(); } catch {}
+    if (engine.getSnapshot().finished) setGroupSit(null); // the group sit is over
+    engine.reset();
+    clearStrikes(); setResumeNotice(''); setConfirmReset(false);
+    setBellPulse(null); vibrate(0);
+    wake.allowSleep();
   };
 
   const toggleMute = () => {
-    const a = audioElRef.current; if (!a) { setMuted(m => !m); return; }
     if (muted) {
-      try { a.muted = false; a.volume = TARGET_VOL; } catch {}
-      const p = a.play(); if (p && p.catch) p.catch(() => {});
-      setMuted(false);
+      // Unmuting is a user gesture: make sure the context and soundscape exist
+      ensureAudioContext(bellCtxRef);
+      ensureSoundscape();
+      applyMusic(false);
+      setMuted(false); announce(t('announce.soundOn'));
+      if (!engine.getSnapshot().hasStarted) userMuteLockedRef.current = false;
     } else {
-      try { a.muted = true; a.volume = TARGET_VOL; } catch {}
-      setMuted(true);
-      if (hasStartedRef.current) userMuteLockedRef.current = true;
+      applyMusic(true);
+      setMuted(true); announce(t('announce.soundMuted'));
+      userMuteLockedRef.current = true;
+      if (engine.getSnapshot().hasStarted) persistSession();
+    }
+  };
+
+  // ---- Deep link: mirror the setup in the address bar; "Copy link" shares it ----
+  const linkSetup = () => ({
+    bellInterval, scheduleId, sessionLength, bellSounds, schedule,
+    music: engine.getSnapshot().hasStarted ? !mutedRef.current : !userMuteLockedRef.current,
+  });
+  useEffect(() => {
+    writeUrlConfig({ bellInterval, scheduleId, sessionLength, bellSounds, music: hasStarted ? !muted : !userMuteLockedRef.current, groupStart: groupSit?.startAt, schedule });
+  }, [bellInterval, scheduleId, sessionLength, bellSounds, muted, hasStarted, groupSit, schedule]);
+
+  // A plan from a link that matches no preset here (the sender's own preset) is kept as a new preset
+  const linkPlanRef = useRef(linkConfig.groupStart == null ? linkConfig.schedule : null);
+  useEffect(() => {
+    const plan = linkPlanRef.current;
+    if (!plan) return;
+    linkPlanRef.current = null;
+    const { presets: next, preset } = savePreset(loadPresets(t), describeSchedule(plan, t), plan, t);
+    setPresets(next); setScheduleId(preset.id);
+    setLinkNotice({ message: 'link.planAdded', vars: { name: preset.name }, key: Date.now() });
+  }, [t]);
+
+  const copyText = async (url, done) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkNotice({ message: done, key: Date.now() });
+    } catch {
+      setLinkNotice({ message: 'link.copyThis', vars: { url }, key: Date.now() });
+    }
+  };
+  const copyLink = () => groupSit ? copyText(groupLink(groupSit.startAt), 'link.groupCopied') : copyText(configLink(basePath, linkSetup()), 'link.setupCopied');
+
+  useEffect(() => {
+    if (!linkNotice) return;
+    const t = setTimeout(() => setLinkNotice(null), 12000);
+    return () => clearTimeout(t);
+  }, [linkNotice]);
+
+  // ---- Keyboard shortcuts (see ShortcutHelp) ----
+  const stepBellInterval = (dir) => {
+    const i = BELL_INTERVALS.indexOf(bellInterval);
+    const next = BELL_INTERVALS[Math.max(0, Math.min(BELL_INTERVALS.length - 1, (i < 0 ? 2 : i) + dir))];
+    if (next !== bellInterval) { setBellInterval(next); announce(t('announce.bellEvery', { count: next })); }
+  };
+
+  const onShortcut = (e) => {
+    if (e.defaultPrevented || e.metaKey || e.ctrlKey || e.altKey) return;
+    if (e.key === 'Escape') { setShowHelp(false); setConfirmReset(false); setShowHistory(false); setShowSettings(false); return; }
+    const t = e.target, tag = t && t.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' || (t && t.isContentEditable)) return;
+    if (e.key === '?') { e.preventDefault(); setShowHelp(v => !v); return; }
+    if (showHelp || confirmReset || showSettings) return; // dialogs own the keyboard until closed
+    if (e.key === 'h' || e.key === 'H') { setShowHistory(v => !v); return; }
+    if ((e.key === 's' || e.key === 'S') && !showHistory) { setShowSettings(true); return; }
+    if (showHistory) return;
+    switch (e.key) {
+      case ' ':
+        if (tag === 'BUTTON') return; // the focused button activates itself
+        e.preventDefault(); buttonAction(); break;
+      case 'r': case 'R':
+        if (hasStarted) setConfirmReset(true);
+        break;
+      case 'm': case 'M':
+        toggleMute(); break;
+      case 'ArrowUp': case 'ArrowRight': case 'ArrowDown': case 'ArrowLeft':
+        if (hasStarted || activePreset || groupSit) return;
+        // "Forward" follows the reading direction: ArrowLeft is the larger step in right-to-left languages
+        e.preventDefault(); stepBellInterval(e.key === 'ArrowUp' || e.key === (rtl ? 'ArrowLeft' : 'ArrowRight') ? 1 : -1);
+        break;
+      default:
     }
   };
+  const shortcutRef = useRef(onShortcut);
+  useEffect(() => { shortcutRef.current = onShortcut; });
+  useEffect(() => {
+    const onKey = (e) => shortcutRef.current(e);
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  }, []);
+
+  // ---- Persist the running session so a reload or tab kill can restore it ----
+  const persistSession = () => {
+    const snap = engine.getSnapshot();
+    if (!snap.hasStarted || snap.finished) return;
+    saveActiveSession({ ...engine.toJSON(), bellInterval, scheduleId, scriptId, sessionLength, userMuteLocked: userMuteLockedRef.current, groupSchedule: groupSit ? schedule : null });
+  };
+  callbacksRef.current = { isRunning, refreshBellElements, persistSession, recordSession };
+
+  useEffect(() => {
+    if (!hasStarted || finished) return;
+    const persist = () => callbacksRef.current.persistSession();
+    const onHide = () => { if (document.visibilityState === 'hidden') persist(); };
+    window.addEventListener('pagehide', persist);
+    document.addEventListener('visibilitychange', onHide);
+    return () => {
+      window.removeEventListener('pagehide', persist);
+      document.removeEventListener('visibilitychange', onHide);
+    };
+  }, [hasStarted, running, finished]);
+
+  // A countdown that ran out while the page was gone still counts as a completed sit
+  useEffect(() => {
+    if (!restored) return;
+    if (restored.finished) { callbacksRef.current.recordSession(true, engine.getSnapshot()); clearActiveSession(); }
+    const t = setTimeout(() => setResumeNotice(''), 10000);
+    // Audio cannot start without a gesture: unlock (and unmute unless the user muted) on the first one
+    const unlock = () => {
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+      ensureAudioContext(bellCtxRef);
+      if (restored.finished || !engine.getSnapshot().hasStarted) return;
+      ensureSoundscape();
+      if (!userMuteLockedRef.current) { applyMusic(false); setMuted(false); }
+    };
+    window.addEventListener('pointerdown', unlock);
+    window.addEventListener('keydown', unlock);
+    if (restored.running) wake.keepAwake();
+    return () => {
+      clearTimeout(t);
+      window.removeEventListener('pointerdown', unlock);
+      window.removeEventListener('keydown', unlock);
+    };
+  }, [restored, engine, wake]);
 
   // ---- Derived display ----
-  const hours = Math.floor(elapsed / 3600);
-  const minutes = Math.floor((elapsed % 3600) / 60);
-  const seconds = elapsed % 60;
-  const timeText = hours > 0
-    ? `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`
-    : `${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
-  const buttonLabel = running ? 'PAUSE' : hasStarted ? 'RESUME' : 'START';
-  const buttonAction = running ? pause : start;
-  const buttonColor = running ? 'rgba(34,197,94,0.7)' : 'rgba(56,189,248,0.7)';
-  const glowColor   = running ? 'rgba(34,197,94,0.6)' : 'rgba(56,189,248,0.6)';
+  const isCountdown = sessionLength > 0;
+  const timerSecs = waiting ? startsInSecs : isCountdown ? Math.max(0, sessionLength * 60 - elapsed) : elapsed;
+  const timeText = formatClock(timerSecs);
+  const setupLocked = hasStarted || !!groupSit;
+  const phase = phaseAt(schedule, elapsed * 1000, t);
+  // A group sit cannot pause (its time is the wall clock): once joined, the circle offers to leave
+  const inGroup = !!groupSit && hasStarted && !finished;
+  const buttonLabel = t(finished ? 'circle.done' : inGroup ? 'circle.leave' : running ? 'circle.pause' : hasStarted ? 'circle.resume' : groupSit ? 'circle.join' : 'circle.start');
+  const buttonAction = finished ? reset : inGroup ? () => setConfirmReset(true) : running ? pause : start;
+  const buttonColor = running ? 'rgba(var(--zs-running-rgb),0.7)' : 'rgba(var(--zs-accent-rgb),0.7)';
+  const glowColor   = running ? 'rgba(var(--zs-running-rgb),0.6)' : 'rgba(var(--zs-accent-rgb),0.6)';
+
+  // ---- Media Session: elapsed time and play/pause/stop on the lock screen (lib/mediaSession.js) ----
+  // Handlers read the latest controls through a ref; a group sit can't be paused, so it gets no pause button
+  const mediaActionsRef = useRef(null);
+  mediaActionsRef.current = { start, pause, reset };
+  const pausable = !groupSit;
+  useEffect(() => {
+    if (!hasStarted) return;
+    return setMediaActions({
+      play: () => { const s = engine.getSnapshot(); if (!s.running && !s.finished && !s.waiting) mediaActionsRef.current.start(); },
+      pause: pausable ? () => { if (engine.getSnapshot().running) mediaActionsRef.current.pause(); } : null,
+      stop: () => mediaActionsRef.current.reset(),
+    });
+  }, [hasStarted, engine, pausable]);
+  const mediaArtist = finished ? t('media.complete') : phase && !waiting ? phase.label : '';
+  useEffect(() => {
+    if (!hasStarted) { updateMediaSession(null); return; }
+    updateMediaSession({
+      title: t(waiting ? 'media.startsIn' : 'media.elapsed', { time: formatClock(waiting ? startsInSecs : elapsed) }),
+      artist: mediaArtist,
+      artwork: [
+        { src: `${basePath}icon-192.png`, sizes: '192x192', type: 'image/png' },
+        { src: `${basePath}icon-512.png`, sizes: '512x512', type: 'image/png' },
+        { src: `${basePath}enso.svg`, sizes: 'any', type: 'image/svg+xml' },
+      ],
+      playing: running || waiting, positionSecs: elapsed, durationSecs: sessionLength * 60,
+    });
+  }, [hasStarted, running, waiting, elapsed, startsInSecs, sessionLength, mediaArtist, basePath, t]);
+  useEffect(() => () => updateMediaSession(null), []);
 
   return (
-    <div className="page" style={{ background: "radial-gradient(circle at center, #0d0f17 0%, #121829 100%)", color: '#fff', textAlign: 'center' }}>
+    <I18nContext.Provider value={i18n}>
+    <MotionConfig reducedMotion="user">
+    <div className="page" style={{ background: 'var(--zs-bg-image), var(--zs-bg)', color: 'var(--zs-fg)', textAlign: 'center' }}>
       {/* Audio toggle (background music only) */}
-      <button onPointerUp={toggleMute} aria-label={muted ? 'Unmute site audio' : 'Mute site audio'} title={muted ? 'Unmute' : 'Mute'}
-        style={{ position: 'absolute', top: 16, right: 16, background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.15)', borderRadius: '50%', width: 'min(56px, 10vw)', height: 'min(56px, 10vw)', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', color: 'white' }}>
+      <button onClick={toggleMute} aria-pressed={!muted} aria-keyshortcuts="M" aria-label={t(muted ? 'top.unmute' : 'top.mute')} title={t(muted ? 'top.unmuteTitle' : 'top.muteTitle')}
+        style={{ position: 'absolute', top: 16, insetInlineEnd: 16, background: 'var(--zs-surface)', border: '1px solid var(--zs-edge)', borderRadius: '50%', width: 'min(56px, 10vw)', height: 'min(56px, 10vw)', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', color: 'var(--zs-fg)' }}>
         <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style={{ width: 'min(30px,5vw)', height: 'min(30px,5vw)' }}>
-          <path d="M3 9v6h4l5 4V5L7 9H3z" stroke="white" strokeWidth="1.8" fill="none" />
-          {!muted && <path d="M16 7c1.657 1.667 1.657 7.333 0 9" stroke="white" strokeWidth="1.8" fill="none" strokeLinecap="round"/>}
-          {muted && <line x1="1" y1="21" x2="19" y2="3" stroke="white" strokeWidth="1.8"/>}
+          <path d="M3 9v6h4l5 4V5L7 9H3z" stroke="currentColor" strokeWidth="1.8" fill="none" />
+          {!muted && <path d="M16 7c1.657 1.667 1.657 7.333 0 9" stroke="currentColor" strokeWidth="1.8" fill="none" strokeLinecap="round"/>}
+          {muted && <line x1="1" y1="21" x2="19" y2="3" stroke="currentColor" strokeWidth="1.8"/>}
         </svg>
       </button>
 
+      {/* Settings */}
+      <button onClick={() => setShowSettings(true)} aria-keyshortcuts="S" aria-label={t('top.settings')} title={t('top.settingsTitle')}
+        style={{ position: 'absolute', top: 16, insetInlineEnd: 'calc(28px + min(56px, 10vw))', background: 'var(--zs-surface)', border: '1px solid var(--zs-edge)', borderRadius: '50%', width: 'min(56px, 10vw)', height: 'min(56px, 10vw)', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', color: 'var(--zs-fg)', padding: 0 }}>
+        <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style={{ width: 'min(26px,5vw)', height: 'min(26px,5vw)' }}>
+          <circle cx="12" cy="12" r="3" stroke="currentColor" strokeWidth="1.8" />
+          <path d="M12 2.5v3M12 18.5v3M2.5 12h3M18.5 12h3M5.3 5.3l2.1 2.1M16.6 16.6l2.1 2.1M5.3 18.7l2.1-2.1M16.6 7.4l2.1-2.1" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" />
+        </svg>
+      </button>
+
+      {/* History toggle */}
+      <button onClick={() => setShowHistory(true)} aria-keyshortcuts="H" aria-label={t('top.history')} title={t('top.historyTitle')}
+        style={{ position: 'absolute', top: 16, insetInlineStart: 16, background: 'var(--zs-surface)', border: '1px solid var(--zs-edge)', borderRadius: '50%', width: 'min(56px, 10vw)', height: 'min(56px, 10vw)', display: 'flex', alignItems: 'center', justifyContent: 'center', cursor: 'pointer', color: 'var(--zs-fg)', padding: 0 }}>
+        <svg viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg" style={{ width: 'min(28px,5vw)', height: 'min(28px,5vw)' }}>
+          <circle cx="12" cy="12" r="8.5" stroke="currentColor" strokeWidth="1.8" />
+          <path d="M12 7.5V12l3 2" stroke="currentColor" strokeWidth="1.8" strokeLinecap="round" />
+        </svg>
+      </button>
+
+      <AnimatePresence>
+        {showHistory && <HistoryPanel key="history" sessions={history} onChange={setHistory} onClose={() => setShowHistory(false)} />}
+        {showHelp && <ShortcutHelp key="help" onClose={() => setShowHelp(false)} />}
+        {showSettings && <SettingsPanel key="settings" settings={settings} onChange={updateSetting} onClose={() => setShowSettings(false)} />}
+        {confirmReset && <ConfirmDialog key="confirm-reset" message={t(inGroup ? 'confirm.leaveGroup' : 'confirm.reset')} confirmLabel={t(inGroup ? 'circle.leave' : 'circle.reset')} onConfirm={reset} onCancel={() => setConfirmReset(false)} />}
+      </AnimatePresence>
+
+      {/* Screen-reader announcements: state changes and bells, never the per-second clock */}
+      <div className="sr-only" role="status" aria-live="polite" aria-atomic="true">{announcement}</div>
+
       {/* Hidden media elements */}
-      <audio ref={audioElRef} src={AUDIO_SRC} defaultMuted autoPlay loop playsInline preload="auto"
+      <audio ref={audioElRef} defaultMuted autoPlay playsInline
              style={{ position: 'absolute', width: 0, height: 0, opacity: 0, pointerEvents: 'none', left: 0, top: 0 }} />
       <audio ref={bellAudioRef} src={BELL_SRC} preload="auto"
              style={{ position: 'absolute', width: 0, height: 0, opacity: 0, pointerEvents: 'none', left: 0, top: 0 }} />
 
       {/* Layout styles */}
       <style>{`
-        html, body, #root { margin: 0; padding: 0; height: 100%; background: #0b0f19; }
+        html, body, #root { margin: 0; padding: 0; height: 100%; background: var(--zs-bg); }
         * { box-sizing: border-box; }
         img { display: block; max-width: 100%; }
         body, p, span, div, select, button, footer { font-family: 'Helvetica Neue', Arial, sans-serif; }
@@ -362,7 +912,13 @@ export default function App() {
         footer { margin-top: auto; text-align: center; padding: 16px 0; opacity: 0.7; font-size: 12px; }
         /* Dim overlay + toggle */
         .dim-toggle { display: none; }
-        .dim-overlay { position: fixed; inset: 0; background: rgba(0,0,0,0.35); pointer-events: none; transition: opacity 200ms ease; }
+        .dim-overlay { position: fixed; inset: 0; background: #000; pointer-events: none; transition: opacity 200ms ease; }
+        .bell-pulse { position: fixed; inset: 0; pointer-events: none; background: radial-gradient(circle at 50% 40%, rgba(var(--zs-running-rgb),0.4), rgba(var(--zs-running-rgb),0.1) 45%, transparent 75%); }
+        .sr-only { position: absolute; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0,0,0,0); white-space: nowrap; border: 0; }
+        button:focus-visible, select:focus-visible, input:focus-visible, label:has(> input.sr-only:focus-visible) { outline: 2px solid rgba(var(--zs-accent-rgb),0.9); outline-offset: 3px; }
+        @media (prefers-reduced-motion: reduce) {
+          *, .dim-overlay { transition: none !important; animation: none !important; }
+        }
         @media (max-width: 680px) {
           html, body, #root, .page { height: auto; min-height: 100svh; }
           .page { overflow-x: hidden; overflow-y: auto; }
@@ -374,42 +930,169 @@ export default function App() {
       {/* Main content */}
       <section className="core">
         <header style={{ textAlign: 'center' }}>
-          <img src="Zensense_Text_Only.png" alt="ZenSense Logo" style={{ width: 163, maxWidth: '40vw', margin: '0 auto', filter: 'brightness(0) invert(1)' }} />
+          <img src="Zensense_Text_Only.png" alt={t('app.logoAlt')} style={{ width: 163, maxWidth: '40vw', margin: '0 auto', filter: 'var(--zs-logo-filter)' }} />
           <p style={{ fontSize: '1rem', opacity: 0.7, marginTop: '1.25rem', letterSpacing: '0.3px', display: 'inline-block', maxWidth: '92vw', marginLeft: 'auto', marginRight: 'auto' }}>
-            Your ultra-minimal focus timer for meditation & productivity.
+            {t('app.tagline')}
           </p>
         </header>
 
         <main style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'center', gap: '2rem' }}>
-          <motion.button whileTap={{ scale: 0.97 }} onClick={buttonAction}
-            style={{ height: '18rem', width: '18rem', borderRadius: '50%', border: `2px solid ${buttonColor}`, color: '#fff', background: 'transparent', fontSize: '2rem', fontWeight: 700, display: 'flex', alignItems: 'center', justifyContent: 'center', boxShadow: `0 0 40px ${glowColor}` }}>
-            {buttonLabel}
-          </motion.button>
+          {/* Main circle; with the breathing pacer on it grows and shrinks with the breath */}
+          <motion.div style={{ scale: pacing && !reduceMotion ? circleScale : 1 }}>
+            <motion.button whileTap={{ scale: 0.97 }} onClick={buttonAction} aria-keyshortcuts="Space" aria-label={pacing ? buttonLabel : undefined}
+              style={{ height: '18rem', width: '18rem', borderRadius: '50%', border: `2px solid ${buttonColor}`, color: 'var(--zs-fg)', background: 'transparent', fontSize: '2rem', fontWeight: 700, display: 'flex', flexDirection: 'column', gap: '0.4rem', alignItems: 'center', justifyContent: 'center', boxShadow: bellPulse ? `0 0 90px ${glowColor}` : reduceMotion ? 'none' : `0 0 40px ${glowColor}`, transition: 'box-shadow 600ms ease' }}>
+              {pacing ? (
+                <>
+                  <span aria-hidden="true">{t(`breath.${breath.phase}`)}{reduceMotion ? ` ${breath.secsLeft}` : ''}</span>
+                  <span aria-hidden="true" style={{ fontSize: '0.85rem', fontWeight: 500, opacity: 0.6, letterSpacing: '1px' }}>{buttonLabel}</span>
+                </>
+              ) : buttonLabel}
+            </motion.button>
+          </motion.div>
+
+          {/* Bell schedule: fixed interval or a named preset */}
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.75rem', flexWrap: 'wrap' }}>
+            <span>{t('setup.bells')}</span>
+            {!setupLocked ? (
+              <select value={scheduleId} aria-label={t('setup.scheduleAria')}
+                onChange={(e) => { if (e.target.value === 'new') setEditingSchedule(true); else { setScheduleId(e.target.value); setEditingSchedule(false); } }}
+                style={{ background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '1rem', maxWidth: '70vw' }}>
+                <option value="interval" style={{ color: 'black' }}>{t('setup.fixedInterval')}</option>
+                {presets.map(p => <option key={p.id} value={p.id} style={{ color: 'black' }}>{nameOf('preset', p)}</option>)}
+                <option value="new" style={{ color: 'black' }}>{t('setup.newSchedule')}</option>
+              </select>
+            ) : (
+              <div style={{ border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 12px', opacity: 0.9, fontSize: '1rem' }}>{groupPlan ? t('setup.groupPlan') : activePreset ? nameOf('preset', activePreset) : t('setup.fixedInterval')}</div>
+            )}
+            {!setupLocked && activePreset && !activePreset.builtin && (
+              <button onClick={removeSchedule} aria-label={t('setup.deletePreset', { name: activePreset.name })} title={t('setup.deletePresetTitle')}
+                style={{ background: 'transparent', border: '1px solid rgba(248,113,113,0.6)', borderRadius: 6, padding: '2px 8px', color: 'var(--zs-fg)', fontSize: '0.85rem' }}>✕</button>
+            )}
+            {(activePreset || groupPlan) && <span style={{ fontSize: '0.8rem', opacity: 0.6 }}>{describeSchedule(schedule, t)}</span>}
+          </div>
+          {editingSchedule && !setupLocked && <ScheduleEditor onSave={saveSchedule} onCancel={() => setEditingSchedule(false)} />}
 
           {/* Bell interval control */}
+          {!activePreset && !groupPlan && <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.75rem' }}>
+            <span>{t('setup.bellEvery')}</span>
+            {!setupLocked ? (
+              <select value={bellInterval} onChange={(e) => setBellInterval(parseInt(e.target.value, 10))} aria-label={t('setup.intervalAria')}
+                style={{ background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '1rem' }}>
+                {BELL_INTERVALS.map(v => <option key={v} value={v} style={{ color: 'black' }}>{v}</option>)}
+              </select>
+            ) : (
+              <div style={{ border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 12px', opacity: 0.9, fontSize: '1rem' }}>{bellInterval}</div>
+            )}
+            <span>{t('setup.intervalUnit', { count: bellInterval })}</span>
+          </div>}
+
+          {/* Session length control (open-ended stopwatch or countdown) */}
           <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '0.75rem' }}>
-            <span>Bell every</span>
-            {!hasStarted ? (
-              <select value={bellInterval} onChange={(e) => setBellInterval(parseInt(e.target.value, 10))}
-                style={{ background: 'transparent', border: '1px solid #64748b', borderRadius: 6, padding: '4px 8px', color: 'white', fontSize: '1rem' }}>
-                {[2,5,10,15,20,30,45,60].map(v => <option key={v} value={v} style={{ color: 'black' }}>{v}</option>)}
+            <span>{t('setup.session')}</span>
+            {!setupLocked ? (
+              <select value={sessionLength} onChange={(e) => setSessionLength(parseInt(e.target.value, 10))} aria-label={t('setup.lengthAria')}
+                style={{ background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '1rem' }}>
+                <option value={0} style={{ color: 'black' }}>{t('setup.open')}</option>
+                {SESSION_LENGTHS.map(v => <option key={v} value={v} style={{ color: 'black' }}>{v}</option>)}
               </select>
             ) : (
-              <div style={{ border: '1px solid #64748b', borderRadius: 6, padding: '4px 12px', opacity: 0.9, fontSize: '1rem' }}>{bellInterval}</div>
+              <div style={{ border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 12px', opacity: 0.9, fontSize: '1rem' }}>{isCountdown ? sessionLength : t('setup.open')}</div>
             )}
-            <span>minutes</span>
+            {isCountdown && <span>{t('setup.lengthUnit', { count: sessionLength })}</span>}
           </div>
 
+          {/* Bell sounds per bell type + volume */}
+          <button onClick={() => setShowSoundControls(v => !v)} aria-expanded={showSoundControls}
+            style={{ background: 'transparent', border: 'none', color: 'var(--zs-fg)', opacity: 0.7, fontSize: '0.9rem', padding: 0, cursor: 'pointer' }}>
+            {t('setup.bellSound')} {showSoundControls ? '▴' : '▾'}
+          </button>
+          {showSoundControls && (
+            <BellSoundControls mode={bellMode} sounds={bellSounds} volume={bellVolume} onPreview={previewBell}
+              onModeChange={(mode) => { setBellMode(mode); setSilentOffer(false); }}
+              onSoundChange={(type, id) => setBellSounds(s => ({ ...s, [type]: id }))} onVolumeChange={setBellVolume} />
+          )}
+          {showSoundControls && notificationsSupported() && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', opacity: 0.85 }}>
+              <input type="checkbox" checked={notifyBells} onChange={toggleNotifications} />
+              {t('setup.notify')}
+            </label>
+          )}
+
+          {/* Soundscape mixer */}
+          <button onClick={() => setShowMixer(v => !v)} aria-expanded={showMixer}
+            style={{ background: 'transparent', border: 'none', color: 'var(--zs-fg)', opacity: 0.7, fontSize: '0.9rem', padding: 0, cursor: 'pointer' }}>
+            {t('setup.soundscape')} {showMixer ? '▴' : '▾'}
+          </button>
+          {showMixer && (
+            <SoundscapeMixer levels={mixLevels} mixes={mixes} mixId={mixId}
+              onLevelChange={changeMixLevel} onSelectMix={selectMix} onSaveMix={storeMix} onDeleteMix={removeMix} />
+          )}
+
+          {/* Group sit: shared start time for everyone with the link */}
+          <button onClick={() => setShowGroup(v => !v)} aria-expanded={showGroup || !!groupSit}
+            style={{ background: 'transparent', border: 'none', color: 'var(--zs-fg)', opacity: 0.7, fontSize: '0.9rem', padding: 0, cursor: 'pointer' }}>
+            {t('setup.groupSit')} {showGroup || groupSit ? '▴' : '▾'}
+          </button>
+          {(showGroup || groupSit) && (
+            <GroupSitControls groupSit={groupSit} locked={hasStarted && !finished} planText={describeSchedule(schedule, t) || t('group.noBells')}
+              onCreate={createGroupSit} onCopy={copyLink} onLeave={() => setGroupSit(null)} />
+          )}
+
+          {/* Breathing pacer */}
+          <button onClick={() => setShowBreathing(v => !v)} aria-expanded={showBreathing}
+            style={{ background: 'transparent', border: 'none', color: 'var(--zs-fg)', opacity: 0.7, fontSize: '0.9rem', padding: 0, cursor: 'pointer' }}>
+            {t('setup.breathing')}{activePattern ? `: ${nameOf('pattern', activePattern)}` : ''} {showBreathing ? '▴' : '▾'}
+          </button>
+          {showBreathing && (
+            <BreathingControls patterns={patterns} patternId={patternId} cues={breathCues}
+              onSelectPattern={setPatternId} onCuesChange={setBreathCues} onSavePattern={storePattern} onDeletePattern={removePattern} />
+          )}
+
+          {/* Guided meditation script */}
+          <button onClick={() => setShowGuidance(v => !v)} aria-expanded={showGuidance}
+            style={{ background: 'transparent', border: 'none', color: 'var(--zs-fg)', opacity: 0.7, fontSize: '0.9rem', padding: 0, cursor: 'pointer' }}>
+            {t('setup.guidance')}{activeScript ? `: ${nameOf('script', activeScript)}` : ''} {showGuidance ? '▴' : '▾'}
+          </button>
+          {showGuidance && (
+            <GuidanceControls scripts={scripts} scriptId={scriptId} mode={guidanceMode} locked={hasStarted}
+              onSelectScript={setScriptId} onModeChange={setGuidanceMode} onSaveScript={storeScript} onDeleteScript={removeScript} />
+          )}
+
           {/* Timer + Reset */}
           <div style={{ minHeight: 160, display: 'flex', flexDirection: 'column', alignItems: 'center', justifyContent: 'flex-start', marginTop: '0.5rem' }}>
             <AnimatePresence initial={false}>
-              {showTimer && (
+              {showTimer && !(settings.hideClock && running) && (
                 <motion.div key="timer" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} transition={{ duration: 0.5 }}
-                  style={{ fontSize: '3.4rem', fontWeight: 700, marginTop: '0.5rem' }} aria-live="polite">{timeText}</motion.div>
+                  style={{ fontSize: 'var(--zs-timer-size)', fontWeight: 700, marginTop: '0.5rem' }} role="timer" aria-live="off" dir="ltr"
+                  aria-label={t(waiting ? 'timer.startsInAria' : isCountdown ? 'timer.remainingAria' : 'timer.elapsedAria', { duration: spokenDuration(t, timerSecs) })}>{timeText}</motion.div>
+              )}
+              {showTimer && resumeNotice && (
+                <motion.div key="resumed" role="status" initial={{ opacity: 0 }} animate={{ opacity: 0.85 }} exit={{ opacity: 0 }} transition={{ duration: 0.5 }}
+                  style={{ fontSize: '0.85rem', padding: '4px 10px', border: '1px solid rgba(var(--zs-accent-rgb),0.5)', borderRadius: 8, marginBottom: '0.25rem' }}>
+                  {t(resumeNotice)}
+                </motion.div>
+              )}
+              {showTimer && phase && !finished && !waiting && (
+                <motion.div key="phase" initial={{ opacity: 0 }} animate={{ opacity: 0.75 }} exit={{ opacity: 0 }} transition={{ duration: 0.5 }}
+                  style={{ fontSize: '0.95rem', letterSpacing: '0.5px' }}>
+                  {phase.label}{phase.detail ? ` · ${phase.detail}` : ''}{phase.remainingMs != null ? ` · ${t('phase.left', { time: formatClock(Math.ceil(phase.remainingMs / 1000)) })}` : ''}
+                </motion.div>
+              )}
+              {showTimer && caption && (
+                <motion.p key={`caption-${caption.key}`} initial={{ opacity: 0 }} animate={{ opacity: 0.9 }} exit={{ opacity: 0 }} transition={{ duration: 1.2 }}
+                  lang={scriptLang} style={{ margin: '0.5rem 0', maxWidth: 'min(480px, 85vw)', fontSize: '1.1rem', fontStyle: 'italic', lineHeight: 1.4 }}>{caption.text}</motion.p>
+              )}
+              {showTimer && (isCountdown || waiting) && (
+                <motion.div key="remaining" initial={{ opacity: 0 }} animate={{ opacity: 0.6 }} exit={{ opacity: 0 }} transition={{ duration: 0.5 }}
+                  style={{ fontSize: '0.85rem', letterSpacing: '0.5px' }}>{t(waiting ? 'timer.untilGroup' : finished ? 'timer.complete' : 'timer.remaining')}</motion.div>
+              )}
+              {inGroup && !bellTab && (
+                <motion.div key="bell-tab" initial={{ opacity: 0 }} animate={{ opacity: 0.6 }} exit={{ opacity: 0 }} transition={{ duration: 0.5 }}
+                  style={{ fontSize: '0.8rem' }}>{t('timer.otherTab')}</motion.div>
               )}
               {showTimer && (
                 <motion.button key="reset" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} transition={{ duration: 0.4, delay: 0.1 }} onClick={reset}
-                  style={{ marginTop: '1rem', padding: '0.5rem 1.5rem', borderRadius: 10, border: '2px solid rgba(248,113,113,0.8)', background: 'transparent', color: 'white', fontWeight: 600, fontSize: '0.9rem' }}>RESET</motion.button>
+                  style={{ marginTop: '1rem', padding: '0.5rem 1.5rem', borderRadius: 10, border: '2px solid rgba(248,113,113,0.8)', background: 'transparent', color: 'var(--zs-fg)', fontWeight: 600, fontSize: '0.9rem' }}>{t('circle.reset')}</motion.button>
               )}
             </AnimatePresence>
           </div>
@@ -418,13 +1101,59 @@ export default function App() {
         
       </section>
 
+      {/* New build available (service worker waiting) */}
+      {waitingWorker && (
+        <div role="status" style={{ position: 'fixed', left: '50%', bottom: 48, transform: 'translateX(-50%)', background: 'var(--zs-toast)', border: '1px solid var(--zs-edge)', borderRadius: 10, padding: '8px 14px', display: 'flex', gap: 12, alignItems: 'center', fontSize: '0.85rem', zIndex: 10 }}>
+          <span>{t('update.ready')}</span>
+          <button onClick={() => applyUpdate(waitingWorker)} disabled={running}
+            title={running ? t('update.afterSession') : undefined}
+            style={{ background: 'transparent', border: '1px solid rgba(var(--zs-accent-rgb),0.7)', borderRadius: 8, padding: '2px 10px', color: 'var(--zs-fg)', fontSize: '0.85rem' }}>{t('update.reload')}</button>
+        </div>
+      )}
+
+      {/* Shared-link notice / copy confirmation */}
+      {linkNotice && (
+        <div role="status" style={{ position: 'fixed', left: '50%', top: 84, transform: 'translateX(-50%)', maxWidth: '90vw', background: 'var(--zs-toast)', border: '1px solid rgba(var(--zs-accent-rgb),0.5)', borderRadius: 10, padding: '8px 14px', display: 'flex', gap: 12, alignItems: 'center', fontSize: '0.85rem', zIndex: 10, wordBreak: 'break-all' }}>
+          <span>{t(linkNotice.message, linkNotice.vars)}</span>
+          <button onClick={() => setLinkNotice(null)} aria-label={t('common.dismiss')}
+            style={{ background: 'transparent', border: 'none', color: 'var(--zs-fg)', fontSize: '0.9rem', padding: 0, cursor: 'pointer' }}>✕</button>
+        </div>
+      )}
+
+      {/* Audio blocked: offer silent bells */}
+      {silentOffer && (
+        <div role="status" style={{ position: 'fixed', left: '50%', bottom: 96, transform: 'translateX(-50%)', maxWidth: '90vw', background: 'var(--zs-toast)', border: '1px solid rgba(var(--zs-accent-rgb),0.5)', borderRadius: 10, padding: '8px 14px', display: 'flex', flexWrap: 'wrap', gap: 12, alignItems: 'center', justifyContent: 'center', fontSize: '0.85rem', zIndex: 10 }}>
+          <span>{t('silent.offer')}</span>
+          <button onClick={() => { setBellMode('visual'); setSilentOffer(false); }}
+            style={{ background: 'transparent', border: '1px solid rgba(var(--zs-accent-rgb),0.7)', borderRadius: 8, padding: '2px 10px', color: 'var(--zs-fg)', fontSize: '0.85rem' }}>{t('silent.use')}</button>
+          <button onClick={() => setSilentOffer(false)}
+            style={{ background: 'transparent', border: '1px solid var(--zs-subtle)', borderRadius: 8, padding: '2px 10px', color: 'var(--zs-fg)', fontSize: '0.85rem' }}>{t('silent.keep')}</button>
+        </div>
+      )}
+
       {/* Footer */}
-      <footer>No tracking, no sign-in. Just peace.</footer>
+      <footer>
+        {t('footer.text')}
+        <button onClick={copyLink} title={t('footer.copyLinkTitle')}
+          style={{ marginInlineStart: 10, background: 'transparent', border: '1px solid var(--zs-subtle)', borderRadius: 6, padding: '0 6px', color: 'var(--zs-fg)', fontSize: 11 }}>{t('footer.copyLink')}</button>
+        <button onClick={() => setShowHelp(true)} aria-keyshortcuts="?" title={t('footer.shortcutsTitle')}
+          style={{ marginInlineStart: 10, background: 'transparent', border: '1px solid var(--zs-subtle)', borderRadius: 6, padding: '0 6px', color: 'var(--zs-fg)', fontSize: 11 }}>?</button>
+      </footer>
 
       {/* Hidden tiny video to keep iOS awake once user interacts via START (we don't auto-play it) */}
-      {dimActive && <div className="dim-overlay" />}
+      {dimActive && <div className="dim-overlay" style={{ opacity: settings.dimStrength }} />}
+      {/* Silent bells: a soft glow per strike, spaced like the strikes, above the dim overlay */}
+      <AnimatePresence>
+        {bellPulse && (
+          <motion.div key={bellPulse.key} className="bell-pulse" aria-hidden="true" initial={{ opacity: 0 }} animate={{ opacity: [0, 1, 0] }} exit={{ opacity: 0 }}
+            transition={{ duration: STRIKE_GAP_MS / 1000, times: [0, 0.25, 1], ease: 'easeInOut', repeat: bellPulse.strikes - 1 }}
+            onAnimationComplete={() => setBellPulse(null)} />
+        )}
+      </AnimatePresence>
       {/* Hidden tiny video to keep iOS awake once user interacts via START (we don't auto-play it) */}
       <video id="nosleep" ref={noSleepVideoRef} playsInline muted loop preload="auto" style={{ width: 1, height: 1, opacity: 0, position: 'absolute', left: -9999, top: -9999 }} />
     </div>
+    </MotionConfig>
+    </I18nContext.Provider>
   );
 }
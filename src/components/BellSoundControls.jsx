@@ -0,0 +1,37 @@
+import React from "react";
+import { BELL_SOUNDS, BELL_TYPES } from "../lib/bellSounds.js";
+import { BELL_MODES, showsSignal, vibrationSupported } from "../lib/silentBells.js";
+import { useI18n } from "../lib/useI18n.js";
+
+const select = { background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '0.95rem' };
+const btn = { background: 'transparent', border: '1px solid var(--zs-subtle)', borderRadius: 6, padding: '3px 10px', color: 'var(--zs-fg)', fontSize: '0.85rem' };
+
+// How bells are given (sound, glow/vibration or both), sound choice per bell type, a shared bell volume and a preview button for each
+export default function BellSoundControls({ mode, sounds, volume, onModeChange, onSoundChange, onVolumeChange, onPreview }) {
+  const { t, name } = useI18n();
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.6rem', alignItems: 'center', fontSize: '0.95rem' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '0.6rem' }}>
+        <span style={{ width: 64, textAlign: 'end', opacity: 0.8 }}>{t('bells.mode')}</span>
+        <select value={mode} onChange={(e) => onModeChange(e.target.value)} aria-label={t('bells.modeAria')} style={select}>
+          {BELL_MODES.map(m => <option key={m.id} value={m.id} style={{ color: 'black' }}>{name('bellMode', m)}</option>)}
+        </select>
+      </div>
+      {showsSignal(mode) && !vibrationSupported() && <div style={{ fontSize: '0.8rem', opacity: 0.6, maxWidth: 300, textAlign: 'center' }}>{t('bells.noVibration')}</div>}
+      {BELL_TYPES.map(type => (
+        <div key={type.id} style={{ display: 'flex', alignItems: 'center', gap: '0.6rem' }}>
+          <span style={{ width: 64, textAlign: 'end', opacity: 0.8 }}>{name('bellType', type)}</span>
+          <select value={sounds[type.id]} onChange={(e) => onSoundChange(type.id, e.target.value)} aria-label={t(`bells.soundAria.${type.id}`)} style={select}>
+            {BELL_SOUNDS.map(s => <option key={s.id} value={s.id} style={{ color: 'black' }}>{name('bellSound', s)}</option>)}
+          </select>
+          <button onClick={() => onPreview(type.id)} aria-label={t(`bells.preview.${type.id}`)} style={btn}>▶</button>
+        </div>
+      ))}
+      <label style={{ display: 'flex', alignItems: 'center', gap: '0.6rem' }}>
+        <span style={{ width: 64, textAlign: 'end', opacity: 0.8 }}>{t('bells.volume')}</span>
+        <input type="range" min="0" max="1" step="0.05" value={volume} onChange={(e) => onVolumeChange(parseFloat(e.target.value))}
+          aria-label={t('bells.volumeAria')} aria-valuetext={`${Math.round(volume * 100)}%`} style={{ width: 160 }} />
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useState } from "react";
+import { BREATH_PHASES, describePattern } from "../lib/breathing.js";
+import { useI18n } from "../lib/useI18n.js";
+
+const field = { background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '0.95rem' };
+const btn = { background: 'transparent', border: '1px solid var(--zs-subtle)', borderRadius: 6, padding: '3px 10px', color: 'var(--zs-fg)', fontSize: '0.85rem' };
+
+// Pacer pattern picker, audio cue toggle and a form for custom patterns.
+// onSavePattern(name, pattern) may throw to report an invalid pattern.
+export default function BreathingControls({ patterns, patternId, cues, onSelectPattern, onCuesChange, onSavePattern, onDeletePattern }) {
+  const { t, name: nameOf, error: errorText } = useI18n();
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState('');
+  const [draft, setDraft] = useState({ inhale: 4, holdIn: 2, exhale: 6, holdOut: 0 });
+  const [error, setError] = useState('');
+  const active = patterns.find(p => p.id === patternId);
+
+  const submit = (e) => {
+    e.preventDefault();
+    try { onSavePattern(name, draft); setEditing(false); setName(''); setError(''); } catch (err) { setError(errorText(err)); }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.6rem', alignItems: 'center', fontSize: '0.95rem' }}>
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center' }}>
+        <select value={patternId} aria-label={t('pacer.patternAria')}
+          onChange={(e) => { if (e.target.value === 'new') setEditing(true); else { onSelectPattern(e.target.value); setEditing(false); } }} style={field}>
+          <option value="" style={{ color: 'black' }}>{t('pacer.off')}</option>
+          {patterns.map(p => <option key={p.id} value={p.id} style={{ color: 'black' }}>{nameOf('pattern', p)}</option>)}
+          <option value="new" style={{ color: 'black' }}>{t('pacer.new')}</option>
+        </select>
+        {active && !active.builtin && <button onClick={() => onDeletePattern(active.id)} aria-label={t('pacer.delete', { name: active.name })} style={{ ...btn, borderColor: 'rgba(248,113,113,0.6)' }}>✕</button>}
+        {active && <span style={{ fontSize: '0.8rem', opacity: 0.6 }}>{t('pacer.seconds', { pattern: describePattern(active.pattern) })}</span>}
+      </div>
+      {active && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.9rem', opacity: 0.85 }}>
+          <input type="checkbox" checked={cues} onChange={(e) => onCuesChange(e.target.checked)} />
+          {t('pacer.cues')}
+        </label>
+      )}
+
+      {editing && (
+        <form onSubmit={submit} aria-label={t('pacer.formAria')}
+          style={{ display: 'flex', flexDirection: 'column', gap: '0.6rem', alignItems: 'center', padding: '0.75rem 1rem', border: '1px solid var(--zs-edge)', borderRadius: 10 }}>
+          <input placeholder={t('pacer.name')} value={name} onChange={(e) => setName(e.target.value)} aria-label={t('pacer.name')} style={{ ...field, width: 180 }} />
+          <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', justifyContent: 'center' }}>
+            {BREATH_PHASES.map(ph => (
+              <label key={ph.id} style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: '0.75rem', opacity: 0.85 }}>{t(`pacer.field.${ph.id}`)}
+                <input type="number" min="0" max="60" step="0.5" value={draft[ph.id]} onChange={(e) => setDraft(d => ({ ...d, [ph.id]: e.target.value }))} style={{ ...field, width: 64 }} />
+              </label>
+            ))}
+          </div>
+          {error && <p role="alert" style={{ margin: 0, fontSize: '0.8rem', color: 'rgb(248,113,113)' }}>{error}</p>}
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button type="submit" style={btn}>{t('pacer.save')}</button>
+            <button type="button" onClick={() => { setEditing(false); setError(''); }} style={btn}>{t('common.cancel')}</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
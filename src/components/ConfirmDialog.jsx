@@ -0,0 +1,26 @@
+import React, { useEffect, useRef } from "react";
+import { motion } from "framer-motion";
+import { useI18n } from "../lib/useI18n.js";
+
+const MotionDiv = motion.div;
+
+// Small modal confirmation; Enter confirms (focused button), Esc is handled by the app's key handler
+export default function ConfirmDialog({ message, confirmLabel, onConfirm, onCancel }) {
+  const { t } = useI18n();
+  const confirmRef = useRef(null);
+  useEffect(() => { confirmRef.current?.focus(); }, []);
+  const btn = { padding: '0.4rem 1.1rem', borderRadius: 8, background: 'transparent', color: 'var(--zs-fg)', fontSize: '0.9rem' };
+
+  return (
+    <MotionDiv role="alertdialog" aria-modal="true" aria-label={message} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} transition={{ duration: 0.2 }}
+      style={{ position: 'fixed', inset: 0, background: 'var(--zs-scrim)', zIndex: 30, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div style={{ background: 'var(--zs-panel)', border: '1px solid var(--zs-edge)', borderRadius: 12, padding: '1.25rem 1.5rem', display: 'flex', flexDirection: 'column', gap: '1rem', alignItems: 'center' }}>
+        <p style={{ margin: 0 }}>{message}</p>
+        <div style={{ display: 'flex', gap: '0.75rem' }}>
+          <button ref={confirmRef} onClick={onConfirm} style={{ ...btn, border: '2px solid rgba(248,113,113,0.8)' }}>{confirmLabel}</button>
+          <button onClick={onCancel} style={{ ...btn, border: '1px solid var(--zs-subtle)' }}>{t('common.cancel')}</button>
+        </div>
+      </div>
+    </MotionDiv>
+  );
+}
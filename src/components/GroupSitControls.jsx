@@ -0,0 +1,53 @@
+import React, { useState } from "react";
+import { useI18n } from "../lib/useI18n.js";
+
+const field = { background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '0.95rem' };
+const btn = { background: 'transparent', border: '1px solid var(--zs-subtle)', borderRadius: 6, padding: '3px 10px', color: 'var(--zs-fg)', fontSize: '0.85rem' };
+
+// <input type="datetime-local"> value in local time
+const localValue = (ms) => { const d = new Date(ms - new Date(ms).getTimezoneOffset() * 60000); return d.toISOString().slice(0, 16); };
+// Next 5-minute mark at least two minutes away
+const suggestedStart = () => { const step = 5 * 60000; return Math.ceil((Date.now() + 2 * 60000) / step) * step; };
+
+// Create a group sit (shared absolute start) or show the one this page joined.
+// onCreate(startAtMs) may throw to report an invalid time.
+export default function GroupSitControls({ groupSit, locked, planText, onCreate, onCopy, onLeave }) {
+  const { t, error: errorText, formatTime, formatDate } = useI18n();
+  const [value, setValue] = useState(() => localValue(suggestedStart()));
+  const [error, setError] = useState('');
+
+  if (groupSit) {
+    const at = groupSit.startAt, time = formatTime(at);
+    const today = new Date(at).toDateString() === new Date().toDateString();
+    return (
+      <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', alignItems: 'center', fontSize: '0.9rem' }}>
+        <span style={{ opacity: 0.85 }}>
+          {today ? t('group.summary', { time }) : t('group.summaryDate', { time, date: formatDate(at) })} · {t('group.plan', { plan: planText })}
+        </span>
+        <div style={{ display: 'flex', gap: '0.5rem' }}>
+          <button onClick={onCopy} style={btn}>{t('group.copy')}</button>
+          {!locked && <button onClick={onLeave} style={{ ...btn, borderColor: 'rgba(248,113,113,0.6)' }}>{t('group.leave')}</button>}
+        </div>
+      </div>
+    );
+  }
+
+  const submit = (e) => {
+    e.preventDefault();
+    const ms = new Date(value).getTime();
+    if (!Number.isFinite(ms)) { setError(t('group.pickTime')); return; }
+    try { onCreate(ms); setError(''); } catch (err) { setError(errorText(err)); }
+  };
+
+  return (
+    <form onSubmit={submit} aria-label={t('group.formAria')} style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem', alignItems: 'center', fontSize: '0.9rem' }}>
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center' }}>
+        <label htmlFor="group-start" style={{ opacity: 0.85 }}>{t('group.startsAt')}</label>
+        <input id="group-start" type="datetime-local" value={value} onChange={(e) => setValue(e.target.value)} style={field} />
+        <button type="submit" disabled={locked} style={btn}>{t('group.create')}</button>
+      </div>
+      <span style={{ fontSize: '0.75rem', opacity: 0.6 }}>{t('group.hint')}</span>
+      {error && <p role="alert" style={{ margin: 0, fontSize: '0.8rem', color: 'rgb(248,113,113)' }}>{error}</p>}
+    </form>
+  );
+}
@@ -0,0 +1,63 @@
+import React, { useState } from "react";
+import { GUIDANCE_MODES, formatOffset, speechSupported } from "../lib/guidance.js";
+import { useI18n } from "../lib/useI18n.js";
+
+const field = { background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '0.95rem' };
+const btn = { background: 'transparent', border: '1px solid var(--zs-subtle)', borderRadius: 6, padding: '3px 10px', color: 'var(--zs-fg)', fontSize: '0.85rem' };
+
+// Guided script picker, prompt delivery mode and an editor for custom scripts.
+// onSaveScript(name, text) may throw to report a parse error.
+export default function GuidanceControls({ scripts, scriptId, mode, locked, onSelectScript, onModeChange, onSaveScript, onDeleteScript }) {
+  const { t, name: nameOf, error: errorText } = useI18n();
+  const [editing, setEditing] = useState(false);
+  const [name, setName] = useState('');
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+  const active = scripts.find(s => s.id === scriptId);
+  const canSpeak = speechSupported();
+
+  const submit = (e) => {
+    e.preventDefault();
+    try { onSaveScript(name, text); setEditing(false); setName(''); setText(''); setError(''); } catch (err) { setError(errorText(err)); }
+  };
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.6rem', alignItems: 'center', fontSize: '0.95rem', maxWidth: '90vw' }}>
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center' }}>
+        <select value={scriptId} disabled={locked} aria-label={t('guide.scriptAria')}
+          onChange={(e) => { if (e.target.value === 'new') setEditing(true); else { onSelectScript(e.target.value); setEditing(false); } }} style={field}>
+          <option value="" style={{ color: 'black' }}>{t('guide.none')}</option>
+          {scripts.map(s => <option key={s.id} value={s.id} style={{ color: 'black' }}>{nameOf('script', s)}</option>)}
+          <option value="new" style={{ color: 'black' }}>{t('guide.new')}</option>
+        </select>
+        {active && !active.builtin && !locked && <button onClick={() => onDeleteScript(active.id)} aria-label={t('guide.delete', { name: active.name })} style={{ ...btn, borderColor: 'rgba(248,113,113,0.6)' }}>✕</button>}
+        <select value={canSpeak ? mode : 'caption'} disabled={!canSpeak} onChange={(e) => onModeChange(e.target.value)} aria-label={t('guide.deliveryAria')} style={field}
+          title={canSpeak ? undefined : t('guide.noSpeech')}>
+          {GUIDANCE_MODES.map(m => <option key={m.id} value={m.id} style={{ color: 'black' }}>{nameOf('guidanceMode', m)}</option>)}
+        </select>
+      </div>
+
+      {active && !editing && (
+        <ol aria-label={t('guide.prompts', { name: nameOf('script', active) })} style={{ margin: 0, padding: 0, listStyle: 'none', fontSize: '0.8rem', opacity: 0.7, maxHeight: 120, overflowY: 'auto', textAlign: 'start' }}
+          lang={active.builtin ? 'en' : undefined}>
+          {active.prompts.map((p, i) => <li key={i}><span style={{ fontVariantNumeric: 'tabular-nums', marginInlineEnd: 8 }}>{formatOffset(p.atMs)}</span>{p.text}</li>)}
+        </ol>
+      )}
+
+      {editing && (
+        <form onSubmit={submit} aria-label={t('guide.formAria')}
+          style={{ display: 'flex', flexDirection: 'column', gap: '0.6rem', alignItems: 'center', padding: '0.75rem 1rem', border: '1px solid var(--zs-edge)', borderRadius: 10 }}>
+          <input placeholder={t('guide.name')} value={name} onChange={(e) => setName(e.target.value)} aria-label={t('guide.name')} style={{ ...field, width: 220 }} />
+          <textarea value={text} onChange={(e) => setText(e.target.value)} placeholder={t('guide.placeholder')} rows={6} aria-label={t('guide.textAria')}
+            aria-describedby="script-format" style={{ ...field, width: 'min(360px, 80vw)', fontFamily: 'inherit', resize: 'vertical' }} />
+          <span id="script-format" style={{ fontSize: '0.75rem', opacity: 0.6 }}>{t('guide.format')}</span>
+          {error && <p role="alert" style={{ margin: 0, fontSize: '0.8rem', color: 'rgb(248,113,113)' }}>{error}</p>}
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button type="submit" style={btn}>{t('guide.save')}</button>
+            <button type="button" onClick={() => { setEditing(false); setError(''); }} style={btn}>{t('common.cancel')}</button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,119 @@
+import React, { useMemo, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { computeStats, dayKey, minutesByDay, toJSON, toCSV, parseImport, mergeSessions, saveHistory, clearHistory } from "../lib/history.js";
+import { useI18n } from "../lib/useI18n.js";
+
+const MotionDiv = motion.div;
+
+const HEATMAP_WEEKS = 18;
+
+function download(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+function heatColor(mins) {
+  if (!mins) return 'var(--zs-surface)';
+  if (mins < 10) return 'rgba(var(--zs-accent-rgb),0.3)';
+  if (mins < 20) return 'rgba(var(--zs-accent-rgb),0.5)';
+  if (mins < 40) return 'rgba(var(--zs-accent-rgb),0.7)';
+  return 'rgba(var(--zs-accent-rgb),0.95)';
+}
+
+export default function HistoryPanel({ sessions, onChange, onClose }) {
+  const { t, error: errorText, formatNumber, formatDateTime } = useI18n();
+  const [notice, setNotice] = useState('');
+  const fileRef = useRef(null);
+  const stats = useMemo(() => computeStats(sessions), [sessions]);
+
+  // Columns are weeks (oldest first), rows are weekdays starting Sunday
+  const weeks = useMemo(() => {
+    const byDay = minutesByDay(sessions);
+    const today = new Date();
+    const start = new Date(today.getFullYear(), today.getMonth(), today.getDate() - today.getDay() - (HEATMAP_WEEKS - 1) * 7);
+    return Array.from({ length: HEATMAP_WEEKS }, (_, w) => Array.from({ length: 7 }, (_, d) => {
+      const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + w * 7 + d);
+      const k = dayKey(date);
+      return { key: k, future: date > today, mins: Math.round(byDay.get(k) || 0) };
+    }));
+  }, [sessions]);
+
+  const stamp = dayKey(new Date());
+  const onImport = async (e) => {
+    const file = e.target.files && e.target.files[0]; e.target.value = '';
+    if (!file) return;
+    try {
+      const incoming = parseImport(await file.text());
+      const merged = mergeSessions(sessions, incoming);
+      saveHistory(merged); onChange(merged);
+      setNotice(t('history.imported', { count: merged.length - sessions.length }));
+    } catch (err) {
+      setNotice(t('history.importFailed', { error: errorText(err) }));
+    }
+  };
+  const onClear = () => {
+    if (!window.confirm(t('history.confirmClear'))) return;
+    clearHistory(); onChange([]); setNotice(t('history.cleared'));
+  };
+
+  const btn = { padding: '0.4rem 0.9rem', borderRadius: 8, border: '1px solid var(--zs-subtle)', background: 'transparent', color: 'var(--zs-fg)', fontSize: '0.85rem' };
+  const stat = (label, value) => (
+    <div style={{ minWidth: 90 }}>
+      <div style={{ fontSize: '1.6rem', fontWeight: 700 }}>{formatNumber(value)}</div>
+      <div style={{ fontSize: '0.75rem', opacity: 0.6 }}>{label}</div>
+    </div>
+  );
+
+  return (
+    <MotionDiv role="dialog" aria-modal="true" aria-label={t('history.aria')} initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} transition={{ duration: 0.3 }}
+      style={{ position: 'fixed', inset: 0, background: 'var(--zs-overlay)', zIndex: 20, overflowY: 'auto', padding: '6vh 1rem' }}>
+      <div style={{ width: 'min(640px, 92vw)', margin: '0 auto', display: 'flex', flexDirection: 'column', gap: '1.5rem', alignItems: 'center' }}>
+        <div style={{ display: 'flex', width: '100%', justifyContent: 'space-between', alignItems: 'center' }}>
+          <span style={{ fontSize: '1.2rem', fontWeight: 600 }}>{t('history.title')}</span>
+          <button onClick={onClose} style={btn} aria-label={t('history.close')}>{t('common.close')}</button>
+        </div>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1rem', justifyContent: 'center' }}>
+          {stat(t('history.totalMinutes', { count: stats.totalMinutes }), stats.totalMinutes)}
+          {stat(t('history.sessions', { count: stats.sessions }), stats.sessions)}
+          {stat(t('history.avgMinutes'), stats.averageMinutes)}
+          {stat(t('history.streak'), stats.currentStreak)}
+          {stat(t('history.longestStreak'), stats.longestStreak)}
+        </div>
+
+        <div role="img" aria-label={t('history.heatmapAria', { count: HEATMAP_WEEKS })} style={{ display: 'flex', gap: 3 }}>
+          {weeks.map((week, w) => (
+            <div key={w} style={{ display: 'flex', flexDirection: 'column', gap: 3 }}>
+              {week.map(day => (
+                <div key={day.key} title={day.future ? '' : t('history.dayMinutes', { day: day.key, count: day.mins })}
+                  style={{ width: 12, height: 12, borderRadius: 2, background: day.future ? 'transparent' : heatColor(day.mins) }} />
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem', justifyContent: 'center' }}>
+          <button style={btn} disabled={!sessions.length} onClick={() => download(`zensense-${stamp}.json`, toJSON(sessions), 'application/json')}>{t('history.exportJson')}</button>
+          <button style={btn} disabled={!sessions.length} onClick={() => download(`zensense-${stamp}.csv`, toCSV(sessions), 'text/csv')}>{t('history.exportCsv')}</button>
+          <button style={btn} onClick={() => fileRef.current && fileRef.current.click()}>{t('history.import')}</button>
+          <button style={{ ...btn, borderColor: 'rgba(248,113,113,0.6)' }} disabled={!sessions.length} onClick={onClear}>{t('history.clear')}</button>
+          <input ref={fileRef} type="file" accept=".json,.csv,application/json,text/csv" onChange={onImport} style={{ display: 'none' }} />
+        </div>
+        {notice && <p role="status" style={{ margin: 0, fontSize: '0.85rem', opacity: 0.8 }}>{notice}</p>}
+
+        <ul style={{ listStyle: 'none', padding: 0, margin: 0, width: '100%', fontSize: '0.85rem' }}>
+          {sessions.slice().reverse().slice(0, 30).map(s => (
+            <li key={s.id} style={{ display: 'flex', justifyContent: 'space-between', padding: '6px 0', borderBottom: '1px solid var(--zs-edge)' }}>
+              <span style={{ opacity: 0.7 }}>{formatDateTime(s.startedAt)}</span>
+              <span>{t('history.minutes', { count: Math.round(s.durationSec / 60) })} · {s.schedule || t('history.bell', { count: s.bellInterval })}{s.pauses ? ` · ${t('history.pauses', { count: s.pauses })}` : ''}{s.completed ? ' ✓' : ''}</span>
+            </li>
+          ))}
+          {!sessions.length && <li style={{ opacity: 0.6, textAlign: 'center' }}>{t('history.empty')}</li>}
+        </ul>
+      </div>
+    </MotionDiv>
+  );
+}
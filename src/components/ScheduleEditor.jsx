@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import { useI18n } from "../lib/useI18n.js";
+
+const field = { background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '0.95rem', width: 64 };
+const btn = { padding: '0.35rem 0.9rem', borderRadius: 8, border: '1px solid var(--zs-subtle)', background: 'transparent', color: 'var(--zs-fg)', fontSize: '0.85rem' };
+
+// Inline form for a named custom or Pomodoro schedule; onSave(name, schedule) may throw to report an error
+export default function ScheduleEditor({ onSave, onCancel }) {
+  const { t, error: errorText } = useI18n();
+  const [name, setName] = useState('');
+  const [type, setType] = useState('custom');
+  const [offsets, setOffsets] = useState('1');
+  const [repeat, setRepeat] = useState('15');
+  const [pomo, setPomo] = useState({ work: 25, shortBreak: 5, longBreak: 15, cycles: 4 });
+  const [error, setError] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    const schedule = type === 'custom'
+      ? { type, offsets: offsets.split(/[\s,;]+/).filter(Boolean).map(Number), repeat: Number(repeat) }
+      : { type, ...pomo };
+    try { onSave(name, schedule); } catch (err) { setError(errorText(err)); }
+  };
+  const num = (key, label) => (
+    <label style={{ display: 'flex', flexDirection: 'column', gap: 4, fontSize: '0.75rem', opacity: 0.85 }}>{label}
+      <input type="number" min="1" max="600" value={pomo[key]} onChange={(e) => setPomo(p => ({ ...p, [key]: e.target.value }))} style={field} />
+    </label>
+  );
+
+  return (
+    <form onSubmit={submit} aria-label={t('editor.aria')}
+      style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', alignItems: 'center', padding: '0.75rem 1rem', border: '1px solid var(--zs-edge)', borderRadius: 10 }}>
+      <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', justifyContent: 'center' }}>
+        <input placeholder={t('editor.name')} value={name} onChange={(e) => setName(e.target.value)} aria-label={t('editor.name')} style={{ ...field, width: 180 }} />
+        <select value={type} onChange={(e) => setType(e.target.value)} aria-label={t('editor.type')} style={{ ...field, width: 'auto' }}>
+          <option value="custom" style={{ color: 'black' }}>{t('editor.custom')}</option>
+          <option value="pomodoro" style={{ color: 'black' }}>{t('editor.pomodoro')}</option>
+        </select>
+      </div>
+      {type === 'custom' ? (
+        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', justifyContent: 'center', fontSize: '0.9rem' }}>
+          <span>{t('editor.bellsAt')}</span>
+          <input value={offsets} onChange={(e) => setOffsets(e.target.value)} aria-label={t('editor.offsetsAria')} style={{ ...field, width: 110 }} />
+          <span>{t('editor.thenEvery')}</span>
+          <input type="number" min="0" max="600" value={repeat} onChange={(e) => setRepeat(e.target.value)} aria-label={t('editor.repeatAria')} style={field} />
+          <span>{t('editor.min')}</span>
+        </div>
+      ) : (
+        <div style={{ display: 'flex', gap: '0.75rem', flexWrap: 'wrap', justifyContent: 'center' }}>
+          {num('work', t('editor.work'))}{num('shortBreak', t('editor.break'))}{num('longBreak', t('editor.longBreak'))}{num('cycles', t('editor.cycles'))}
+        </div>
+      )}
+      {error && <p role="alert" style={{ margin: 0, fontSize: '0.8rem', color: 'rgb(248,113,113)' }}>{error}</p>}
+      <div style={{ display: 'flex', gap: '0.5rem' }}>
+        <button type="submit" style={btn}>{t('editor.save')}</button>
+        <button type="button" onClick={onCancel} style={btn}>{t('common.cancel')}</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,89 @@
+import React, { useEffect, useRef, useState } from "react";
+import { motion } from "framer-motion";
+import { THEMES, ACCENTS, TIMER_SIZES, DIM_MODES, DEFAULT_SETTINGS } from "../lib/settings.js";
+import { LOCALES } from "../lib/i18n.js";
+import { useI18n } from "../lib/useI18n.js";
+
+const MotionDiv = motion.div;
+
+const field = { background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '0.95rem' };
+const btn = { padding: '0.35rem 1rem', borderRadius: 8, border: '1px solid var(--zs-subtle)', background: 'transparent', color: 'var(--zs-fg)', fontSize: '0.85rem' };
+const row = { display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '1rem', flexWrap: 'wrap' };
+const APPEARANCE = ['theme', 'accent', 'timerSize', 'hideClock', 'dimMode', 'dimStrength', 'dimDelay'];
+
+// Language, appearance and screen-dimming settings; every change applies (and is saved) immediately
+export default function SettingsPanel({ settings, onChange, onClose }) {
+  const { t, name } = useI18n();
+  const closeRef = useRef(null);
+  useEffect(() => { closeRef.current?.focus(); }, []);
+  // Dim delay text while typing: only in-range values are applied, the field snaps back on blur
+  const [delayDraft, setDelayDraft] = useState(null);
+  const editDelay = (text) => {
+    setDelayDraft(text);
+    const n = Number(text);
+    if (text.trim() && Number.isInteger(n) && n >= 3 && n <= 300) onChange('dimDelay', n);
+  };
+
+  const choice = (key, list, label) => (
+    <fieldset style={{ border: 'none', padding: 0, margin: 0, display: 'flex', flexDirection: 'column', gap: '0.4rem' }}>
+      <legend style={{ fontSize: '0.8rem', opacity: 0.7, marginBottom: '0.4rem', padding: 0 }}>{label}</legend>
+      <div style={{ display: 'flex', gap: '0.4rem', flexWrap: 'wrap' }}>
+        {list.map(o => (
+          <label key={o.id} style={{ ...btn, padding: '0.3rem 0.7rem', display: 'flex', alignItems: 'center', gap: 6, cursor: 'pointer',
+            borderColor: settings[key] === o.id ? 'rgba(var(--zs-accent-rgb),0.9)' : 'var(--zs-subtle)' }}>
+            <input type="radio" name={key} value={o.id} checked={settings[key] === o.id} onChange={() => onChange(key, o.id)} className="sr-only" />
+            {o.swatch && <span aria-hidden="true" style={{ width: 12, height: 12, borderRadius: '50%', background: o.swatch }} />}
+            {name(key, o)}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+
+  return (
+    <MotionDiv role="dialog" aria-modal="true" aria-labelledby="settings-title" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} transition={{ duration: 0.2 }}
+      onClick={onClose} style={{ position: 'fixed', inset: 0, background: 'var(--zs-scrim)', zIndex: 30, display: 'flex', alignItems: 'center', justifyContent: 'center', overflowY: 'auto' }}>
+      <div onClick={(e) => e.stopPropagation()} style={{ background: 'var(--zs-panel)', border: '1px solid var(--zs-edge)', borderRadius: 12, padding: '1.25rem 1.5rem', width: 'min(460px, 92vw)', textAlign: 'start', display: 'flex', flexDirection: 'column', gap: '1.1rem', margin: 'auto' }}>
+        <h2 id="settings-title" style={{ fontSize: '1.1rem', margin: 0 }}>{t('settings.title')}</h2>
+        <label style={row}>{t('settings.language')}
+          <select value={settings.language} onChange={(e) => onChange('language', e.target.value)} style={field}>
+            <option value="auto" style={{ color: 'black' }}>{t('settings.languageAuto')}</option>
+            {LOCALES.map(l => <option key={l.id} value={l.id} lang={l.id} style={{ color: 'black' }}>{l.name}</option>)}
+          </select>
+        </label>
+        {choice('theme', THEMES, t('settings.theme'))}
+        {choice('accent', ACCENTS, t('settings.accent'))}
+        <label style={row}>{t('settings.timerSize')}
+          <select value={settings.timerSize} onChange={(e) => onChange('timerSize', e.target.value)} style={field}>
+            {TIMER_SIZES.map(o => <option key={o.id} value={o.id} style={{ color: 'black' }}>{name('timerSize', o)}</option>)}
+          </select>
+        </label>
+        <label style={{ ...row, justifyContent: 'flex-start' }}>
+          <input type="checkbox" checked={settings.hideClock} onChange={(e) => onChange('hideClock', e.target.checked)} />
+          {t('settings.hideClock')}
+        </label>
+        <label style={row}>{t('settings.dim')}
+          <select value={settings.dimMode} onChange={(e) => onChange('dimMode', e.target.value)} style={field}>
+            {DIM_MODES.map(o => <option key={o.id} value={o.id} style={{ color: 'black' }}>{name('dimMode', o)}</option>)}
+          </select>
+        </label>
+        {settings.dimMode !== 'off' && (
+          <>
+            <label style={row}>{t('settings.dimStrength')}
+              <input type="range" min="0.1" max="0.9" step="0.05" value={settings.dimStrength} onChange={(e) => onChange('dimStrength', parseFloat(e.target.value))}
+                aria-valuetext={`${Math.round(settings.dimStrength * 100)}%`} style={{ width: 160 }} />
+            </label>
+            <label style={row}>{t('settings.dimDelay')}
+              <input type="number" min="3" max="300" value={delayDraft ?? settings.dimDelay} onChange={(e) => editDelay(e.target.value)} onBlur={() => setDelayDraft(null)}
+                style={{ ...field, width: 80 }} />
+            </label>
+          </>
+        )}
+        <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'flex-end' }}>
+          <button onClick={() => APPEARANCE.forEach(k => onChange(k, DEFAULT_SETTINGS[k]))} style={btn}>{t('settings.restore')}</button>
+          <button ref={closeRef} onClick={onClose} style={btn}>{t('common.close')}</button>
+        </div>
+      </div>
+    </MotionDiv>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useEffect, useRef } from "react";
+import { motion } from "framer-motion";
+import { useI18n } from "../lib/useI18n.js";
+
+const MotionDiv = motion.div;
+
+// [keys, message key]; a key cap starting with "shortcuts." is translated too
+const SHORTCUTS = [
+  ['shortcuts.keySpace', 'shortcuts.space'],
+  ['R', 'shortcuts.reset'],
+  ['M', 'shortcuts.mute'],
+  ['← →  ↑ ↓', 'shortcuts.arrows'],
+  ['H', 'shortcuts.history'],
+  ['S', 'shortcuts.settings'],
+  ['?', 'shortcuts.help'],
+  ['shortcuts.keyEsc', 'shortcuts.close'],
+];
+
+export default function ShortcutHelp({ onClose }) {
+  const { t } = useI18n();
+  const closeRef = useRef(null);
+  useEffect(() => { closeRef.current?.focus(); }, []);
+
+  return (
+    <MotionDiv role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title" initial={{ opacity: 0 }} animate={{ opacity: 1 }} exit={{ opacity: 0 }} transition={{ duration: 0.2 }}
+      onClick={onClose} style={{ position: 'fixed', inset: 0, background: 'var(--zs-scrim)', zIndex: 30, display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div onClick={(e) => e.stopPropagation()} style={{ background: 'var(--zs-panel)', border: '1px solid var(--zs-edge)', borderRadius: 12, padding: '1.25rem 1.5rem', width: 'min(420px, 90vw)', textAlign: 'start' }}>
+        <h2 id="shortcut-help-title" style={{ fontSize: '1.1rem', margin: '0 0 0.75rem' }}>{t('shortcuts.title')}</h2>
+        <dl style={{ display: 'grid', gridTemplateColumns: 'auto 1fr', gap: '0.5rem 1rem', margin: 0, fontSize: '0.9rem' }}>
+          {SHORTCUTS.map(([keys, label]) => (
+            <React.Fragment key={keys}>
+              <dt><kbd style={{ border: '1px solid var(--zs-subtle)', borderRadius: 4, padding: '1px 6px', fontFamily: 'inherit' }}>{keys.startsWith('shortcuts.') ? t(keys) : keys}</kbd></dt>
+              <dd style={{ margin: 0, opacity: 0.85 }}>{t(label)}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+        <button ref={closeRef} onClick={onClose} style={{ marginTop: '1rem', padding: '0.35rem 1rem', borderRadius: 8, border: '1px solid var(--zs-subtle)', background: 'transparent', color: 'var(--zs-fg)' }}>{t('common.close')}</button>
+      </div>
+    </MotionDiv>
+  );
+}
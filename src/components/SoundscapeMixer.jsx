@@ -0,0 +1,36 @@
+import React, { useState } from "react";
+import { MIX_LAYERS } from "../lib/soundscape.js";
+import { useI18n } from "../lib/useI18n.js";
+
+const field = { background: 'transparent', border: '1px solid var(--zs-line)', borderRadius: 6, padding: '4px 8px', color: 'var(--zs-fg)', fontSize: '0.95rem' };
+const btn = { background: 'transparent', border: '1px solid var(--zs-subtle)', borderRadius: 6, padding: '3px 10px', color: 'var(--zs-fg)', fontSize: '0.85rem' };
+
+// Per-layer volume sliders plus saved mix presets
+export default function SoundscapeMixer({ levels, mixes, mixId, onLevelChange, onSelectMix, onSaveMix, onDeleteMix }) {
+  const { t, name: nameOf } = useI18n();
+  const [name, setName] = useState('');
+  const active = mixes.find(m => m.id === mixId);
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.6rem', alignItems: 'center', fontSize: '0.95rem' }}>
+      <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+        <select value={active ? mixId : ''} onChange={(e) => onSelectMix(e.target.value)} aria-label={t('mixer.presetAria')} style={field}>
+          {!active && <option value="" style={{ color: 'black' }}>{t('mixer.custom')}</option>}
+          {mixes.map(m => <option key={m.id} value={m.id} style={{ color: 'black' }}>{nameOf('mix', m)}</option>)}
+        </select>
+        {active && !active.builtin && <button onClick={() => onDeleteMix(active.id)} aria-label={t('mixer.delete', { name: active.name })} style={{ ...btn, borderColor: 'rgba(248,113,113,0.6)' }}>✕</button>}
+      </div>
+      {MIX_LAYERS.map(l => (
+        <label key={l.id} style={{ display: 'flex', alignItems: 'center', gap: '0.6rem' }}>
+          <span style={{ width: 96, textAlign: 'end', opacity: 0.8 }}>{nameOf('layer', l)}</span>
+          <input type="range" min="0" max="1" step="0.05" value={levels[l.id]} onChange={(e) => onLevelChange(l.id, parseFloat(e.target.value))}
+            aria-label={t('mixer.layerAria', { layer: nameOf('layer', l) })} aria-valuetext={`${Math.round(levels[l.id] * 100)}%`} style={{ width: 160 }} />
+        </label>
+      ))}
+      <form onSubmit={(e) => { e.preventDefault(); onSaveMix(name); setName(''); }} style={{ display: 'flex', gap: '0.5rem' }}>
+        <input placeholder={t('mixer.name')} value={name} onChange={(e) => setName(e.target.value)} aria-label={t('mixer.name')} style={{ ...field, width: 150 }} />
+        <button type="submit" style={btn}>{t('mixer.save')}</button>
+      </form>
+    </div>
+  );
+}
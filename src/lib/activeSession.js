@@ -0,0 +1,64 @@
+// ---- Running-session persistence: survive reloads and mobile tab kills ----
+// Timing is stored as wall-clock anchors (Date.now()), so elapsed time is exact after a restore.
+import { bellAt, normalizeSchedule } from "./schedules.js";
+
+const STORAGE_KEY = 'zensense.active.v1';
+
+export function saveActiveSession(snapshot) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...snapshot, savedAt: Date.now() })); } catch { /* ignore */ }
+}
+
+export function clearActiveSession() {
+  try { localStorage.removeItem(STORAGE_KEY); } catch { /* ignore */ }
+}
+
+function loadActiveSession() {
+  try {
+    const s = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    return s && typeof s === 'object' && Number(s.startedAt) > 0 ? s : null;
+  } catch { return null; }
+}
+
+// Rebuild the session from storage. Bells that came due while the page was gone are
+// counted as rung (never replayed); a countdown that ran out meanwhile comes back finished.
+// A group sit is anchored on its shared start time and carries its own schedule.
+export function restoreActiveSession(presets, now = Date.now()) {
+  const s = loadActiveSession();
+  if (!s) return null;
+  const preset = s.scheduleId && s.scheduleId !== 'interval' ? presets.find(p => p.id === s.scheduleId) : null;
+  const bellInterval = Number(s.bellInterval) || 10;
+  const groupStartMs = Number(s.groupStartMs) > 0 ? Number(s.groupStartMs) : null;
+  const groupSchedule = groupStartMs ? normalizeSchedule(s.groupSchedule) : null;
+  const schedule = groupSchedule || (preset ? preset.schedule : { type: 'interval', every: bellInterval });
+  const sessionLength = Math.max(0, Number(s.sessionLength) || 0);
+  const running = groupStartMs ? now >= groupStartMs : !!s.running && s.anchorMs != null;
+  const anchorMs = groupStartMs || Number(s.anchorMs);
+
+  let offsetMs = groupStartMs ? 0 : Math.max(0, Number(s.offsetMs) || 0);
+  let elapsedMs = offsetMs + (running ? Math.max(0, now - anchorMs) : 0);
+  const lengthMs = sessionLength * 60000;
+  const finished = lengthMs > 0 && elapsedMs >= lengthMs;
+  if (finished) { elapsedMs = lengthMs; offsetMs = lengthMs; }
+
+  let lastBellCount = Math.max(0, Number(s.lastBellCount) || 0), next;
+  while ((next = bellAt(schedule, lastBellCount + 1)) && next.atMs <= elapsedMs) lastBellCount++;
+
+  return {
+    startedAt: Number(s.startedAt),
+    running: running && !finished,
+    anchorMs: running && !finished ? anchorMs : null,
+    offsetMs: running && !finished ? offsetMs : elapsedMs,
+    elapsedMs,
+    lastBellCount,
+    finished,
+    bellInterval,
+    scheduleId: preset ? preset.id : 'interval',
+    scriptId: typeof s.scriptId === 'string' ? s.scriptId : '',
+    sessionLength,
+    pauses: Math.max(0, Number(s.pauses) || 0),
+    userMuteLocked: !!s.userMuteLocked,
+    groupStartMs,
+    groupSchedule,
+    lateMs: groupStartMs ? Math.max(0, Number(s.lateMs) || 0) : 0,
+  };
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { saveActiveSession, clearActiveSession, restoreActiveSession } from "./activeSession.js";
+import { BUILTIN_PRESETS } from "./schedules.js";
+
+const MIN = 60000;
+const NOW = Date.UTC(2026, 4, 10, 7, 0);
+const pomodoro = BUILTIN_PRESETS.find(p => p.id === 'pomodoro-25');
+
+// A sit started 30 min before NOW and still running: open-ended, ringing every 10 min
+const saved = (extra = {}) => ({
+  startedAt: NOW - 30 * MIN, running: true, finished: false, anchorMs: NOW - 30 * MIN, offsetMs: 0,
+  lastBellCount: 0, pauses: 0, bellInterval: 10, scheduleId: 'interval', sessionLength: 0, ...extra,
+});
+
+beforeEach(() => {
+  const store = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: k => (store.has(k) ? store.get(k) : null),
+    setItem: (k, v) => store.set(k, String(v)),
+    removeItem: k => store.delete(k),
+  });
+});
+afterEach(() => vi.unstubAllGlobals());
+
+describe('restoreActiveSession', () => {
+  it('has nothing to restore without a usable snapshot', () => {
+    expect(restoreActiveSession(BUILTIN_PRESETS, NOW)).toBeNull();
+    saveActiveSession(saved({ startedAt: 0 }));
+    expect(restoreActiveSession(BUILTIN_PRESETS, NOW)).toBeNull();
+    saveActiveSession(saved());
+    clearActiveSession();
+    expect(restoreActiveSession(BUILTIN_PRESETS, NOW)).toBeNull();
+  });
+
+  it('recomputes the elapsed time from the wall clock', () => {
+    saveActiveSession(saved({ anchorMs: NOW - 25 * MIN, offsetMs: 5 * MIN, lastBellCount: 3 }));
+    expect(restoreActiveSession(BUILTIN_PRESETS, NOW)).toMatchObject({ running: true, finished: false, elapsedMs: 30 * MIN, anchorMs: NOW - 25 * MIN, offsetMs: 5 * MIN });
+  });
+
+  it('counts bells that came due while closed as rung, without replaying earlier ones', () => {
+    saveActiveSession(saved({ lastBellCount: 1 }));
+    expect(restoreActiveSession(BUILTIN_PRESETS, NOW + 4 * MIN).lastBellCount).toBe(3);
+    saveActiveSession(saved({ scheduleId: pomodoro.id, lastBellCount: 0 }));
+    expect(restoreActiveSession(BUILTIN_PRESETS, NOW)).toMatchObject({ scheduleId: pomodoro.id, lastBellCount: 2 });
+  });
+
+  it('brings back a countdown that ran out meanwhile as finished', () => {
+    saveActiveSession(saved({ sessionLength: 20, lastBellCount: 1 }));
+    expect(restoreActiveSession(BUILTIN_PRESETS, NOW)).toMatchObject({ running: false, finished: true, anchorMs: null, offsetMs: 20 * MIN, elapsedMs: 20 * MIN, lastBellCount: 2 });
+  });
+
+  it('leaves a paused sit where it stopped', () => {
+    saveActiveSession(saved({ running: false, anchorMs: null, offsetMs: 12 * MIN, lastBellCount: 1, pauses: 1 }));
+    expect(restoreActiveSession(BUILTIN_PRESETS, NOW + 60 * MIN)).toMatchObject({ running: false, finished: false, anchorMs: null, offsetMs: 12 * MIN, elapsedMs: 12 * MIN, lastBellCount: 1, pauses: 1 });
+  });
+
+  it('keeps a group sit waiting for its start, then anchors it on the shared start', () => {
+    const groupStartMs = NOW + 2 * MIN;
+    saveActiveSession(saved({ running: false, anchorMs: null, groupStartMs, groupSchedule: pomodoro.schedule, lateMs: 0 }));
+    expect(restoreActiveSession(BUILTIN_PRESETS, NOW)).toMatchObject({ running: false, finished: false, elapsedMs: 0, lastBellCount: 0, groupStartMs, groupSchedule: pomodoro.schedule });
+    expect(restoreActiveSession(BUILTIN_PRESETS, groupStartMs + 26 * MIN)).toMatchObject({ running: true, anchorMs: groupStartMs, offsetMs: 0, elapsedMs: 26 * MIN, lastBellCount: 1 });
+  });
+});
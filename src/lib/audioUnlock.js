@@ -0,0 +1,23 @@
+// ---- Audio unlock helpers: browsers only start audio from a user gesture ----
+
+// Create (or recreate, if closed) the shared AudioContext held in `ref` and resume it
+export async function ensureAudioContext(ref) {
+  const AC = window.AudioContext || window.webkitAudioContext;
+  if (!AC) return null;
+  try {
+    if (!ref.current || ref.current.state === 'closed') ref.current = new AC();
+    if (ref.current.state !== 'running') await ref.current.resume().catch(() => {});
+  } catch { /* ignore */ }
+  return ref.current;
+}
+
+// iOS: play/pause each element silently inside the gesture so later play() calls are allowed
+export async function unlockMediaElements(elements) {
+  for (const el of elements.filter(Boolean)) {
+    try {
+      const pv = el.volume;
+      el.volume = 0; const p = el.play(); if (p && p.catch) await p.catch(() => {});
+      try { el.pause(); } catch { /* ignore */ } el.currentTime = 0; el.volume = pv;
+    } catch { /* ignore */ }
+  }
+}
@@ -0,0 +1,104 @@
+// ---- Bell sound library: one recorded bell plus sounds synthesized offline with WebAudio ----
+// Synthesized sounds are rendered once into AudioBuffers, so playback is the same for every
+// sound, and can be encoded to WAV for the HTMLAudio path (iOS) without any asset download.
+
+export const BELL_SOUNDS = [
+  { id: 'bell', name: 'Temple bell', file: 'bells-1-72261.mp3' },
+  { id: 'bowl', name: 'Singing bowl' },
+  { id: 'gong', name: 'Gong' },
+  { id: 'woodblock', name: 'Wood block' },
+  { id: 'chime', name: 'Soft chime' },
+];
+
+export const BELL_TYPES = [
+  { id: 'start', name: 'Start' },
+  { id: 'interval', name: 'Interval' },
+  { id: 'end', name: 'End' },
+];
+
+export const DEFAULT_BELL_SOUNDS = { start: 'bell', interval: 'bell', end: 'bell' };
+
+const SAMPLE_RATE = 44100;
+
+// Each partial: [frequency ratio, amplitude, decay seconds, detune Hz for a slow beat]
+const SYNTHS = {
+  bowl: { f0: 220, duration: 9, attack: 0.04, partials: [[1, 1, 8, 0.7], [2.76, 0.5, 6, 1.1], [5.4, 0.22, 4, 1.6], [8.93, 0.1, 2.5, 0]] },
+  gong: { f0: 92, duration: 7, attack: 0.01, noise: { gain: 0.35, decay: 0.6, freq: 400 }, partials: [[1, 1, 6.5, 0.4], [1.48, 0.7, 5, 0], [1.93, 0.5, 4.5, 0.9], [2.52, 0.4, 3.5, 0], [3.1, 0.25, 2.5, 0], [4.2, 0.15, 1.5, 0]] },
+  woodblock: { f0: 880, duration: 0.6, attack: 0.001, noise: { gain: 0.5, decay: 0.03, freq: 2500 }, partials: [[1, 1, 0.18, 0], [1.58, 0.45, 0.1, 0]] },
+  chime: { f0: 1046.5, duration: 4, attack: 0.006, partials: [[1, 1, 3.2, 0], [2.0, 0.3, 2, 0.5], [3.0, 0.12, 1.2, 0], [4.2, 0.08, 0.8, 0]] },
+};
+
+export const isSynthesized = (id) => Object.prototype.hasOwnProperty.call(SYNTHS, id);
+
+// Render a synthesized sound to an AudioBuffer (resolves null where OfflineAudioContext is missing)
+export async function renderSynth(id) {
+  const spec = SYNTHS[id];
+  const OAC = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  if (!spec || !OAC) return null;
+  const ctx = new OAC(1, Math.ceil(spec.duration * SAMPLE_RATE), SAMPLE_RATE);
+  const master = ctx.createGain();
+  master.gain.value = 0.5;
+  master.connect(ctx.destination);
+
+  const voice = (freq, amp, decay) => {
+    const osc = ctx.createOscillator();
+    const g = ctx.createGain();
+    osc.type = 'sine';
+    osc.frequency.value = freq;
+    g.gain.setValueAtTime(0, 0);
+    g.gain.linearRampToValueAtTime(amp, spec.attack);
+    g.gain.exponentialRampToValueAtTime(0.0001, Math.min(spec.duration, spec.attack + decay));
+    osc.connect(g); g.connect(master);
+    osc.start(0); osc.stop(spec.duration);
+  };
+  spec.partials.forEach(([ratio, amp, decay, beat]) => {
+    if (beat) { voice(spec.f0 * ratio - beat / 2, amp / 2, decay); voice(spec.f0 * ratio + beat / 2, amp / 2, decay); }
+    else voice(spec.f0 * ratio, amp, decay);
+  });
+
+  if (spec.noise) {
+    // Short filtered noise burst for the strike transient (fixed seed so renders are identical)
+    const len = Math.ceil(spec.noise.decay * 4 * SAMPLE_RATE);
+    const buf = ctx.createBuffer(1, len, SAMPLE_RATE);
+    const data = buf.getChannelData(0);
+    let seed = 1;
+    for (let i = 0; i < len; i++) { seed = (seed * 16807) % 2147483647; data[i] = (seed / 2147483647) * 2 - 1; }
+    const src = ctx.createBufferSource();
+    const bp = ctx.createBiquadFilter();
+    const g = ctx.createGain();
+    src.buffer = buf;
+    bp.type = 'bandpass'; bp.frequency.value = spec.noise.freq; bp.Q.value = 1.2;
+    g.gain.setValueAtTime(spec.noise.gain, 0);
+    g.gain.exponentialRampToValueAtTime(0.0001, spec.noise.decay * 4);
+    src.connect(bp); bp.connect(g); g.connect(master);
+    src.start(0);
+  }
+
+  // Safari's OfflineAudioContext only has the event form
+  return new Promise((resolve) => {
+    ctx.oncomplete = (e) => resolve(e.renderedBuffer);
+    const p = ctx.startRendering();
+    if (p && p.then) p.then(resolve, () => resolve(null));
+  });
+}
+
+// Encode an AudioBuffer as 16-bit mono WAV, with the gain baked in (iOS ignores HTMLAudio volume)
+export function encodeWav(buffer, gain = 1) {
+  const ch = buffer.numberOfChannels;
+  const len = buffer.length;
+  const out = new DataView(new ArrayBuffer(44 + len * 2));
+  const str = (o, s) => { for (let i = 0; i < s.length; i++) out.setUint8(o + i, s.charCodeAt(i)); };
+  str(0, 'RIFF'); out.setUint32(4, 36 + len * 2, true); str(8, 'WAVE');
+  str(12, 'fmt '); out.setUint32(16, 16, true); out.setUint16(20, 1, true); out.setUint16(22, 1, true);
+  out.setUint32(24, buffer.sampleRate, true); out.setUint32(28, buffer.sampleRate * 2, true);
+  out.setUint16(32, 2, true); out.setUint16(34, 16, true);
+  str(36, 'data'); out.setUint32(40, len * 2, true);
+  const chans = Array.from({ length: ch }, (_, c) => buffer.getChannelData(c));
+  for (let i = 0; i < len; i++) {
+    let v = 0;
+    for (let c = 0; c < ch; c++) v += chans[c][i];
+    v = Math.max(-1, Math.min(1, (v / ch) * gain));
+    out.setInt16(44 + i * 2, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+  }
+  return new Blob([out], { type: 'audio/wav' });
+}
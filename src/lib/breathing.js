@@ -0,0 +1,77 @@
+// ---- Breathing pacer: inhale / hold / exhale / hold cycles on the session's elapsed time ----
+// Patterns are seconds per phase; a zero-length phase is skipped. Because the pacer reads the
+// engine's pause-aware elapsed time, it freezes while the session is paused.
+import { defaultI18n, localError } from "./i18n.js";
+import { createNamedStore } from "./namedStore.js";
+
+export const BREATH_PHASES = [
+  { id: 'inhale', label: 'Inhale' },
+  { id: 'holdIn', label: 'Hold' },
+  { id: 'exhale', label: 'Exhale' },
+  { id: 'holdOut', label: 'Hold' },
+];
+
+export const BUILTIN_PATTERNS = [
+  { id: 'box', name: 'Box 4-4-4-4', builtin: true, pattern: { inhale: 4, holdIn: 4, exhale: 4, holdOut: 4 } },
+  { id: '478', name: '4-7-8 relaxing', builtin: true, pattern: { inhale: 4, holdIn: 7, exhale: 8, holdOut: 0 } },
+  { id: 'coherent', name: 'Coherent 5.5/5.5', builtin: true, pattern: { inhale: 5.5, holdIn: 0, exhale: 5.5, holdOut: 0 } },
+];
+
+// Validate/clean a pattern; returns null if unusable (every phase 0–60 s, some breathing in and out)
+export function normalizePattern(p) {
+  if (!p || typeof p !== 'object') return null;
+  const secs = (v) => { const n = Math.round(Number(v) * 10) / 10; return n > 0 && n <= 60 ? n : 0; };
+  const clean = { inhale: secs(p.inhale), holdIn: secs(p.holdIn), exhale: secs(p.exhale), holdOut: secs(p.holdOut) };
+  return clean.inhale && clean.exhale ? clean : null;
+}
+
+export const describePattern = (p) => BREATH_PHASES.map(ph => p[ph.id]).filter((v, i) => v || i % 2 === 0).join('-');
+
+// Where in the cycle `elapsedMs` falls: { phase, label, index, progress (0–1), remainingMs, cycle, expansion (0–1) }
+export function breathAt(pattern, elapsedMs) {
+  const phases = BREATH_PHASES.map(ph => ({ ...ph, ms: (pattern[ph.id] || 0) * 1000 })).filter(ph => ph.ms > 0);
+  const cycleMs = phases.reduce((t, ph) => t + ph.ms, 0);
+  const ms = Math.max(0, elapsedMs);
+  let t = ms % cycleMs, i = 0;
+  while (t >= phases[i].ms) { t -= phases[i].ms; i++; }
+  const ph = phases[i], progress = t / ph.ms;
+  // Lungs fill on the inhale, stay full/empty on the holds; eased so the circle moves like a breath
+  const ease = (x) => 0.5 - Math.cos(Math.PI * x) / 2;
+  const expansion = ph.id === 'inhale' ? ease(progress) : ph.id === 'exhale' ? 1 - ease(progress) : ph.id === 'holdIn' ? 1 : 0;
+  return { phase: ph.id, label: ph.label, index: i, progress, remainingMs: ph.ms - t, cycle: Math.floor(ms / cycleMs), expansion };
+}
+
+// Soft tone marking a phase change: rising for inhale, falling for exhale, a low hum for holds
+export function playBreathCue(ctx, phase, volume = 1) {
+  if (!ctx || ctx.state !== 'running') return;
+  try {
+    const now = ctx.currentTime, dur = phase === 'holdIn' || phase === 'holdOut' ? 0.35 : 0.6;
+    const osc = ctx.createOscillator(), gain = ctx.createGain();
+    const [from, to] = phase === 'inhale' ? [330, 440] : phase === 'exhale' ? [440, 330] : [262, 262];
+    osc.type = 'sine';
+    osc.frequency.setValueAtTime(from, now);
+    osc.frequency.linearRampToValueAtTime(to, now + dur);
+    gain.gain.setValueAtTime(0, now);
+    gain.gain.linearRampToValueAtTime(0.12 * volume, now + 0.06);
+    gain.gain.exponentialRampToValueAtTime(0.0001, now + dur);
+    osc.connect(gain).connect(ctx.destination);
+    osc.start(now); osc.stop(now + dur + 0.05);
+  } catch { /* ignore */ }
+}
+
+// ---- User patterns (localStorage) ----
+const store = createNamedStore('zensense.breathing.v1', BUILTIN_PATTERNS, ['pattern'], p => {
+  const pattern = normalizePattern(p.pattern);
+  return pattern && { pattern };
+});
+
+export const loadPatterns = (t = defaultI18n.t) => store.load(t('common.untitled'));
+
+export function savePattern(patterns, name, pattern) {
+  const clean = normalizePattern(pattern);
+  if (!clean) throw localError('error.patternInvalid');
+  const { items, item } = store.add(patterns, name, { pattern: clean }, describePattern(clean));
+  return { patterns: items, pattern: item };
+}
+
+export const deletePattern = store.remove;
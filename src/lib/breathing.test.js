@@ -0,0 +1,37 @@
+import { describe, it, expect } from "vitest";
+import { breathAt, normalizePattern, describePattern, BUILTIN_PATTERNS } from "./breathing.js";
+
+const box = BUILTIN_PATTERNS.find(p => p.id === 'box').pattern;
+const relax = BUILTIN_PATTERNS.find(p => p.id === '478').pattern;
+
+describe('breathAt', () => {
+  it('walks through the phases of a cycle', () => {
+    expect(breathAt(box, 0)).toMatchObject({ phase: 'inhale', cycle: 0, expansion: 0, remainingMs: 4000 });
+    expect(breathAt(box, 2000)).toMatchObject({ phase: 'inhale', progress: 0.5 });
+    expect(breathAt(box, 2000).expansion).toBeCloseTo(0.5);
+    expect(breathAt(box, 5000)).toMatchObject({ phase: 'holdIn', label: 'Hold', expansion: 1, remainingMs: 3000 });
+    expect(breathAt(box, 8000)).toMatchObject({ phase: 'exhale', expansion: 1 });
+    expect(breathAt(box, 12000)).toMatchObject({ phase: 'holdOut', expansion: 0 });
+    expect(breathAt(box, 16000)).toMatchObject({ phase: 'inhale', cycle: 1 });
+  });
+
+  it('skips zero-length phases', () => {
+    expect(breathAt(relax, 4000 + 7000 + 7999)).toMatchObject({ phase: 'exhale', index: 2 });
+    expect(breathAt(relax, 19000)).toMatchObject({ phase: 'inhale', cycle: 1 });
+    const coherent = BUILTIN_PATTERNS.find(p => p.id === 'coherent').pattern;
+    expect(breathAt(coherent, 5500)).toMatchObject({ phase: 'exhale', index: 1 });
+  });
+});
+
+describe('patterns', () => {
+  it('requires an inhale and an exhale', () => {
+    expect(normalizePattern({ inhale: 4, exhale: 0 })).toBeNull();
+    expect(normalizePattern({ inhale: '4', holdIn: -1, exhale: 6.25, holdOut: 99 })).toEqual({ inhale: 4, holdIn: 0, exhale: 6.3, holdOut: 0 });
+  });
+
+  it('describes patterns the way they are usually written', () => {
+    expect(describePattern(box)).toBe('4-4-4-4');
+    expect(describePattern(relax)).toBe('4-7-8');
+    expect(describePattern({ inhale: 5.5, holdIn: 0, exhale: 5.5, holdOut: 0 })).toBe('5.5-5.5');
+  });
+});
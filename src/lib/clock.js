@@ -0,0 +1,19 @@
+// ---- Tick source for the bell scheduler: Web Worker clock, page interval as fallback ----
+export function startClock(onTick, intervalMs = 250) {
+  let worker = null;
+  try {
+    worker = new Worker(new URL('./clockWorker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = () => onTick();
+    worker.onerror = () => { try { worker.terminate(); } catch { /* ignore */ } worker = null; fallback(); };
+    worker.postMessage({ type: 'start', interval: intervalMs });
+  } catch { worker = null; }
+
+  let id = null;
+  const fallback = () => { if (!id) id = setInterval(onTick, intervalMs); };
+  if (!worker) fallback();
+
+  return () => {
+    if (worker) { try { worker.postMessage({ type: 'stop' }); worker.terminate(); } catch { /* ignore */ } }
+    if (id) clearInterval(id);
+  };
+}
@@ -0,0 +1,7 @@
+// ---- Clock worker: worker timers are throttled far less than page timers in hidden tabs ----
+let id = null;
+self.onmessage = (e) => {
+  const { type, interval } = e.data || {};
+  if (id) { clearInterval(id); id = null; }
+  if (type === 'start') id = setInterval(() => self.postMessage('tick'), interval || 250);
+};
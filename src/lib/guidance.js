@@ -0,0 +1,135 @@
+// ---- Guided meditation scripts: prompts at time offsets, spoken or shown as captions ----
+// Script text format, one prompt per line ("#" starts a comment):
+//   0:30 Settle your posture
+//   5:00 Return to the breath
+// or JSON: [{ "at": "0:30", "text": "…" }] (also { "name": "…", "prompts": [...] }; "at" may be seconds).
+import { defaultI18n, localError } from "./i18n.js";
+import { createNamedStore } from "./namedStore.js";
+
+const MAX_MS = 600 * 60000; // same ceiling as bell schedules
+
+export const GUIDANCE_MODES = [
+  { id: 'voice', name: 'Spoken' },
+  { id: 'caption', name: 'Caption' },
+  { id: 'both', name: 'Spoken + caption' },
+];
+
+const BUILTIN_TEXT = {
+  'settle-10': `0:00 Find a comfortable, upright posture and let your eyes close
+0:30 Settle your posture. Let the shoulders drop
+1:30 Notice the breath, wherever it is easiest to feel
+4:00 If the mind has wandered, gently return to the breath
+7:00 Let each out-breath soften the body a little more
+9:30 Slowly widen your attention to the whole room`,
+  'body-scan-20': `0:00 Settle in and let the breath find its own pace
+1:00 Bring attention to the feet. Notice warmth, pressure, tingling
+3:00 Move slowly up through the ankles and calves
+5:00 The knees and thighs. Let them be heavy
+7:00 The hips and lower back
+9:00 The belly, rising and falling with the breath
+11:00 The chest, shoulders and upper back
+13:00 Down the arms to the hands and fingertips
+15:00 The neck, jaw and face. Soften the forehead
+17:00 Rest in the whole body at once
+19:30 Take a deeper breath and begin to return`,
+  'breath-open': `0:15 Rest attention on the breath
+5:00 Return to the breath
+10:00 Notice where the mind has gone, and begin again
+15:00 Return to the breath
+20:00 Let the breath breathe itself
+30:00 Return to the breath`,
+};
+
+export const BUILTIN_SCRIPTS = [
+  { id: 'settle-10', name: 'Settling (10 min)', builtin: true },
+  { id: 'body-scan-20', name: 'Body scan (20 min)', builtin: true },
+  { id: 'breath-open', name: 'Breath reminders (open)', builtin: true },
+].map(s => ({ ...s, text: BUILTIN_TEXT[s.id], prompts: parseScript(BUILTIN_TEXT[s.id]) }));
+
+// "m:ss", "h:mm:ss" or plain seconds -> ms; NaN if unreadable
+function parseOffset(at) {
+  if (typeof at === 'number') return at * 1000;
+  const parts = String(at).trim().split(':');
+  if (!parts.every(p => /^\d+$/.test(p)) || parts.length > 3) return NaN;
+  if (parts.length > 1 && parts.slice(1).some(p => p.length !== 2 || Number(p) > 59)) return NaN;
+  return parts.reduce((acc, p) => acc * 60 + Number(p), 0) * 1000;
+}
+
+export function formatOffset(ms) {
+  const secs = Math.round(ms / 1000), h = Math.floor(secs / 3600), m = Math.floor((secs % 3600) / 60), s = secs % 60;
+  return h ? `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}` : `${m}:${String(s).padStart(2, '0')}`;
+}
+
+// Text or JSON -> prompts sorted by time: [{ atMs, text }]. Throws with a readable message.
+export function parseScript(source) {
+  const src = String(source || '').trim();
+  if (!src) throw localError('error.scriptEmpty');
+  let items;
+  if (src[0] === '[' || src[0] === '{') {
+    let data;
+    try { data = JSON.parse(src); } catch { throw localError('error.scriptJson'); }
+    const list = Array.isArray(data) ? data : data && data.prompts;
+    if (!Array.isArray(list)) throw localError('error.scriptList');
+    items = list.map((p, i) => ({ where: 'prompt', n: i + 1, at: p && p.at, text: p && p.text }));
+  } else {
+    items = src.split(/\r?\n/).map((line, i) => ({ where: 'line', n: i + 1, line: line.trim() }))
+      .filter(l => l.line && !l.line.startsWith('#'))
+      .map(({ where, n, line }) => {
+        const m = line.match(/^(\S+)\s+(.+)$/);
+        return { where, n, at: m ? m[1] : line, text: m ? m[2] : '' };
+      });
+  }
+  const prompts = items.map(({ where, n, at, text }) => {
+    const atMs = parseOffset(at ?? '');
+    if (!(atMs >= 0) || atMs > MAX_MS) throw localError(`error.${where}Time`, { n, at: at ?? '' });
+    const t = String(text ?? '').trim();
+    if (!t) throw localError(`error.${where}Text`, { n });
+    return { atMs, text: t.slice(0, 500) };
+  });
+  if (!prompts.length) throw localError('error.scriptNoPrompts');
+  return prompts.sort((a, b) => a.atMs - b.atMs);
+}
+
+// ---- User scripts (localStorage) ----
+const store = createNamedStore('zensense.scripts.v1', BUILTIN_SCRIPTS, ['text'], s => {
+  try { return { text: String(s.text), prompts: parseScript(s.text) }; } catch { return null; }
+});
+
+export const loadScripts = (t = defaultI18n.t) => store.load(t('common.untitled'));
+
+// Throws (via parseScript) if the text does not parse
+export function saveScript(scripts, name, text, t = defaultI18n.t) {
+  const prompts = parseScript(text);
+  let title = String(name || '').trim();
+  if (!title) { try { title = String(JSON.parse(text).name || '').trim(); } catch { /* ignore */ } }
+  const { items, item } = store.add(scripts, title, { text: String(text).trim(), prompts }, t('guide.defaultName'));
+  return { scripts: items, script: item };
+}
+
+export const deleteScript = store.remove;
+
+// ---- Speech (SpeechSynthesis) ----
+export const speechSupported = () => typeof window !== 'undefined' && 'speechSynthesis' in window && typeof SpeechSynthesisUtterance !== 'undefined';
+
+// `lang` picks the voice; by default the browser follows the page language (<html lang>)
+export function speak(text, { volume = 1, rate = 0.9, lang } = {}) {
+  if (!speechSupported()) return false;
+  try {
+    const u = new SpeechSynthesisUtterance(text);
+    u.volume = volume; u.rate = rate;
+    if (lang) u.lang = lang;
+    window.speechSynthesis.cancel();
+    window.speechSynthesis.speak(u);
+    return true;
+  } catch { return false; }
+}
+
+export function stopSpeaking() {
+  try { speechSupported() && window.speechSynthesis.cancel(); } catch { /* ignore */ }
+}
+
+// iOS only allows speech after it was used inside a user gesture: speak nothing from START
+export function primeSpeech() {
+  if (!speechSupported()) return;
+  try { const u = new SpeechSynthesisUtterance(''); u.volume = 0; window.speechSynthesis.speak(u); } catch { /* ignore */ }
+}
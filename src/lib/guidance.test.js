@@ -0,0 +1,36 @@
+import { describe, it, expect } from "vitest";
+import { parseScript, formatOffset, BUILTIN_SCRIPTS } from "./guidance.js";
+
+describe('parseScript', () => {
+  it('reads "m:ss text" lines, skipping blanks and comments, sorted by time', () => {
+    const prompts = parseScript('# intro\n5:00 Return to the breath\n\n0:30   Settle your posture\n1:02:03 Long sit');
+    expect(prompts).toEqual([
+      { atMs: 30_000, text: 'Settle your posture' },
+      { atMs: 300_000, text: 'Return to the breath' },
+      { atMs: 3_723_000, text: 'Long sit' },
+    ]);
+  });
+
+  it('reads JSON lists and objects with seconds or m:ss offsets', () => {
+    expect(parseScript('[{"at": 90, "text": "one"}, {"at": "0:10", "text": "two"}]'))
+      .toEqual([{ atMs: 10_000, text: 'two' }, { atMs: 90_000, text: 'one' }]);
+    expect(parseScript('{"name": "X", "prompts": [{"at": "2:00", "text": "hi"}]}')).toEqual([{ atMs: 120_000, text: 'hi' }]);
+  });
+
+  it('reports the offending line', () => {
+    expect(() => parseScript('0:30 ok\n5:75 bad')).toThrow(/line 2/);
+    expect(() => parseScript('0:30')).toThrow(/line 1: prompt text is missing/);
+    expect(() => parseScript('[{"at": "x", "text": "t"}]')).toThrow(/prompt 1/);
+    expect(() => parseScript('[oops')).toThrow(/JSON/);
+    expect(() => parseScript('  ')).toThrow(/empty/);
+  });
+
+  it('formats offsets back to the script syntax', () => {
+    expect(formatOffset(30_000)).toBe('0:30');
+    expect(formatOffset(3_723_000)).toBe('1:02:03');
+  });
+
+  it('ships parseable built-in scripts', () => {
+    BUILTIN_SCRIPTS.forEach(s => expect(s.prompts.length).toBeGreaterThan(0));
+  });
+});
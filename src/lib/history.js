@@ -0,0 +1,145 @@
+// ---- Local session history (localStorage only — nothing leaves the device) ----
+import { localError } from "./i18n.js";
+
+const STORAGE_KEY = 'zensense.history.v1';
+const CSV_FIELDS = ['id', 'startedAt', 'endedAt', 'durationSec', 'bellInterval', 'schedule', 'sessionLength', 'pauses', 'completed'];
+
+export function loadHistory() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Array.isArray(list) ? list.map(normalizeSession).filter(Boolean) : [];
+  } catch { return []; }
+}
+
+export function saveHistory(list) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(list)); } catch { /* quota / private mode */ }
+}
+
+export function addSession(session) {
+  const rec = normalizeSession({ id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`, ...session });
+  if (!rec) return loadHistory();
+  const list = [...loadHistory(), rec];
+  saveHistory(list);
+  return list;
+}
+
+export function clearHistory() {
+  try { localStorage.removeItem(STORAGE_KEY); } catch { /* ignore */ }
+}
+
+// Coerce anything read from storage or an import file into a clean record (or null)
+function normalizeSession(s) {
+  if (!s || typeof s !== 'object') return null;
+  const startedAt = new Date(s.startedAt);
+  const durationSec = Math.round(Number(s.durationSec));
+  if (isNaN(startedAt.getTime()) || !(durationSec > 0)) return null;
+  const endedAt = new Date(s.endedAt);
+  return {
+    id: String(s.id || startedAt.getTime().toString(36)),
+    startedAt: startedAt.toISOString(),
+    endedAt: (isNaN(endedAt.getTime()) ? new Date(startedAt.getTime() + durationSec * 1000) : endedAt).toISOString(),
+    durationSec,
+    bellInterval: Number(s.bellInterval) || 0,
+    schedule: s.schedule ? String(s.schedule) : '', // named preset, '' = fixed interval
+    sessionLength: Number(s.sessionLength) || 0,
+    pauses: Math.max(0, Math.round(Number(s.pauses) || 0)),
+    completed: s.completed === true || s.completed === 'true',
+  };
+}
+
+// ---- Stats ----
+export function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+export function minutesByDay(list) {
+  const map = new Map();
+  list.forEach(s => { const k = dayKey(s.startedAt); map.set(k, (map.get(k) || 0) + s.durationSec / 60); });
+  return map;
+}
+
+export function computeStats(list, now = new Date()) {
+  const totalSec = list.reduce((sum, s) => sum + s.durationSec, 0);
+  const days = minutesByDay(list);
+
+  // Current streak counts back from today, or from yesterday if today has no sit yet
+  let current = 0;
+  const cursor = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  if (!days.has(dayKey(cursor))) cursor.setDate(cursor.getDate() - 1);
+  while (days.has(dayKey(cursor))) { current++; cursor.setDate(cursor.getDate() - 1); }
+
+  let longest = 0, run = 0, prev = null;
+  [...days.keys()].sort().forEach(k => {
+    const d = new Date(`${k}T00:00:00`);
+    const next = prev && new Date(prev.getFullYear(), prev.getMonth(), prev.getDate() + 1);
+    run = next && dayKey(next) === k ? run + 1 : 1;
+    longest = Math.max(longest, run); prev = d;
+  });
+
+  return {
+    sessions: list.length,
+    totalMinutes: Math.round(totalSec / 60),
+    averageMinutes: list.length ? Math.round(totalSec / 60 / list.length) : 0,
+    currentStreak: current,
+    longestStreak: longest,
+  };
+}
+
+// ---- Import / export ----
+export function toJSON(list) {
+  return JSON.stringify({ app: 'zensense', version: 1, sessions: list }, null, 2);
+}
+
+// RFC 4180: fields with a comma, quote or line break are quoted, quotes doubled
+const csvField = (v) => /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+
+export function toCSV(list) {
+  const rows = list.map(s => CSV_FIELDS.map(f => csvField(String(s[f]))).join(','));
+  return [CSV_FIELDS.join(','), ...rows].join('\r\n');
+}
+
+// Rows of fields; quoted fields may hold commas, doubled quotes and line breaks
+function parseCSV(text) {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ',') { row.push(field); field = ''; }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  row.push(field); rows.push(row);
+  return rows.filter(r => r.some(f => f.trim()));
+}
+
+export function parseImport(text) {
+  const trimmed = String(text || '').trim();
+  if (!trimmed) return [];
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const data = JSON.parse(trimmed);
+    const list = Array.isArray(data) ? data : data.sessions;
+    if (!Array.isArray(list)) throw localError('error.importJson');
+    return list.map(normalizeSession).filter(Boolean);
+  }
+  const [header, ...lines] = parseCSV(trimmed);
+  const cols = header.map(c => c.trim());
+  if (!cols.includes('startedAt') || !cols.includes('durationSec')) throw localError('error.importCsv');
+  return lines.map(values => normalizeSession(Object.fromEntries(cols.map((c, i) => [c, (values[i] || '').trim()])))).filter(Boolean);
+}
+
+// Merge imported sessions, skipping ids already present
+export function mergeSessions(existing, incoming) {
+  const ids = new Set(existing.map(s => s.id));
+  const merged = [...existing, ...incoming.filter(s => !ids.has(s.id))];
+  merged.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+  return merged;
+}
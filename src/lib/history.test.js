@@ -0,0 +1,55 @@
+import { describe, it, expect } from "vitest";
+import { computeStats, toCSV, toJSON, parseImport, mergeSessions } from "./history.js";
+
+// Local-time sit on a given day (streaks go by the local calendar day)
+const sit = (y, m, d, mins = 20, extra = {}) => ({
+  id: `${y}${m}${d}-${mins}`, startedAt: new Date(y, m - 1, d, 7, 0).toISOString(), endedAt: new Date(y, m - 1, d, 7, mins).toISOString(),
+  durationSec: mins * 60, bellInterval: 10, schedule: '', sessionLength: 0, pauses: 0, completed: true, ...extra,
+});
+
+describe('computeStats', () => {
+  const now = new Date(2026, 4, 10, 12, 0);
+
+  it('adds up sessions and minutes', () => {
+    expect(computeStats([sit(2026, 5, 10, 20), sit(2026, 5, 10, 10)], now)).toMatchObject({ sessions: 2, totalMinutes: 30, averageMinutes: 15 });
+    expect(computeStats([], now)).toEqual({ sessions: 0, totalMinutes: 0, averageMinutes: 0, currentStreak: 0, longestStreak: 0 });
+  });
+
+  it('counts the current streak back from today, or from yesterday before today\'s sit', () => {
+    const days = [8, 9, 10].map(d => sit(2026, 5, d));
+    expect(computeStats(days, now).currentStreak).toBe(3);
+    expect(computeStats(days.slice(0, 2), now).currentStreak).toBe(2);
+    expect(computeStats(days.slice(0, 1), now).currentStreak).toBe(0);
+  });
+
+  it('finds the longest run of days, across month ends', () => {
+    const list = [sit(2026, 3, 30), sit(2026, 3, 31), sit(2026, 4, 1), sit(2026, 4, 2), sit(2026, 4, 5), sit(2026, 5, 10)];
+    expect(computeStats(list, now)).toMatchObject({ longestStreak: 4, currentStreak: 1 });
+  });
+});
+
+describe('export and import', () => {
+  it('quotes CSV fields that hold commas, quotes or line breaks', () => {
+    const csv = toCSV([sit(2026, 5, 10, 20, { schedule: 'Morning, "long"\nsit' })]);
+    expect(csv.split('\r\n')[1]).toContain(',"Morning, ""long""\nsit",');
+    expect(parseImport(csv)[0].schedule).toBe('Morning, "long"\nsit');
+  });
+
+  it('reads back what it exports, as CSV or JSON', () => {
+    const list = [sit(2026, 5, 9, 15, { schedule: 'Settle, then 15', pauses: 2, completed: false }), sit(2026, 5, 10)];
+    expect(parseImport(toCSV(list))).toEqual(list);
+    expect(parseImport(toJSON(list))).toEqual(list);
+  });
+
+  it('skips unusable rows and rejects files without the needed columns', () => {
+    expect(parseImport('startedAt,durationSec\nyesterday,600\n2026-05-10T07:00:00Z,0\n2026-05-10T07:00:00Z,600\n')).toHaveLength(1);
+    expect(() => parseImport('date,minutes\n2026-05-10,10')).toThrow('startedAt');
+    expect(() => parseImport('{"sessions": 3}')).toThrow();
+    expect(parseImport('  ')).toEqual([]);
+  });
+
+  it('merges imports without duplicating sessions, oldest first', () => {
+    const a = sit(2026, 5, 8), b = sit(2026, 5, 9), c = sit(2026, 5, 10);
+    expect(mergeSessions([c, a], [b, a]).map(s => s.id)).toEqual([a.id, b.id, c.id]);
+  });
+});
@@ -0,0 +1,61 @@
+// ---- Translations: bundled message catalogs, locale detection and plural-aware lookup ----
+// Messages are flat keys with {name} placeholders. A plural message is an object keyed by the
+// Intl.PluralRules categories of its language (one, few, many, …, always with `other`), chosen by `count`.
+// Missing keys fall back to English; built-in names (presets, sounds, themes…) fall back to their own name.
+import en from "./locales/en.js";
+import de from "./locales/de.js";
+import pl from "./locales/pl.js";
+import ja from "./locales/ja.js";
+import ar from "./locales/ar.js";
+
+// `name` is the language's own name, as shown in the language switch
+export const LOCALES = [
+  { id: 'en', name: 'English', dir: 'ltr', messages: en },
+  { id: 'de', name: 'Deutsch', dir: 'ltr', messages: de },
+  { id: 'pl', name: 'Polski', dir: 'ltr', messages: pl },
+  { id: 'ja', name: '日本語', dir: 'ltr', messages: ja },
+  { id: 'ar', name: 'العربية', dir: 'rtl', messages: ar },
+];
+
+// First of the browser's preferred languages we have a catalog for ("de-AT" -> "de"), else English
+export function detectLocale(languages = typeof navigator !== 'undefined' ? navigator.languages || [navigator.language] : []) {
+  for (const tag of languages || []) {
+    const id = String(tag || '').toLowerCase().split(/[-_]/)[0];
+    if (LOCALES.some(l => l.id === id)) return id;
+  }
+  return 'en';
+}
+
+const fill = (text, vars) => text.replace(/\{(\w+)\}/g, (m, k) => vars && vars[k] != null ? String(vars[k]) : m);
+
+export function createI18n(localeId) {
+  const locale = LOCALES.find(l => l.id === localeId) || LOCALES[0];
+  const { messages } = locale;
+  const plurals = new Intl.PluralRules(locale.id);
+
+  const t = (key, vars) => {
+    let msg = messages[key] ?? en[key];
+    if (msg == null) return key;
+    if (typeof msg === 'object') msg = msg[plurals.select(Number(vars?.count) || 0)] ?? msg.other;
+    return fill(msg, vars);
+  };
+  // Display name of a list entry, e.g. name('preset', preset); user-made entries keep theirs
+  const name = (group, item) => messages[`${group}.${item.id}`] ?? en[`${group}.${item.id}`] ?? item.name;
+  // Errors thrown with localError() carry a message key; others show as they are
+  const error = (err) => err && err.key ? t(err.key, err.vars) : String(err?.message || err);
+
+  return {
+    locale: locale.id, dir: locale.dir, t, name, error,
+    formatNumber: (n) => n.toLocaleString(locale.id),
+    formatTime: (ms) => new Date(ms).toLocaleTimeString(locale.id, { hour: '2-digit', minute: '2-digit' }),
+    formatDate: (ms) => new Date(ms).toLocaleDateString(locale.id),
+    formatDateTime: (ms) => new Date(ms).toLocaleString(locale.id),
+  };
+}
+
+export const defaultI18n = createI18n('en');
+
+// An Error whose English message comes from the catalog, so the UI can show it in the current language
+export function localError(key, vars) {
+  return Object.assign(new Error(defaultI18n.t(key, vars)), { key, vars });
+}
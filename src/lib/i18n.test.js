@@ -0,0 +1,86 @@
+import { describe, it, expect } from "vitest";
+import { LOCALES, createI18n, detectLocale, localError } from "./i18n.js";
+import { describeSchedule, phaseAt } from "./schedules.js";
+import { parseScript } from "./guidance.js";
+import en from "./locales/en.js";
+
+describe('catalogs', () => {
+  it('translate every English key in every bundled language', () => {
+    for (const { id, messages } of LOCALES) {
+      const missing = Object.keys(en).filter(k => messages[k] == null);
+      expect(missing, id).toEqual([]);
+    }
+  });
+
+  it('give plural messages an `other` form and placeholders that exist in English', () => {
+    const names = (m) => [...new Set((typeof m === 'object' ? Object.values(m) : [m]).join(' ').match(/\{\w+\}/g) || [])];
+    for (const { id, messages } of LOCALES) {
+      for (const [key, msg] of Object.entries(messages)) {
+        if (typeof msg === 'object') expect(msg.other, `${id} ${key}`).toBeTypeOf('string');
+        if (en[key] != null) names(msg).forEach(n => expect(names(en[key]), `${id} ${key}`).toContain(n));
+      }
+    }
+  });
+});
+
+describe('createI18n', () => {
+  it('picks the plural form by count', () => {
+    const { t } = createI18n('en');
+    expect(t('duration.minutes', { count: 1 })).toBe('1 minute');
+    expect(t('duration.minutes', { count: 5 })).toBe('5 minutes');
+  });
+
+  it('follows the plural rules of each language', () => {
+    const pl = createI18n('pl').t;
+    expect([1, 3, 5, 22, 25].map(count => pl('duration.minutes', { count }))).toEqual(['1 minuta', '3 minuty', '5 minut', '22 minuty', '25 minut']);
+    const ar = createI18n('ar').t;
+    expect(ar('duration.minutes', { count: 2 })).toBe('دقيقتان');
+    expect(ar('duration.minutes', { count: 3 })).toBe('3 دقائق');
+    expect(createI18n('ja').t('duration.minutes', { count: 1 })).toBe('1分');
+  });
+
+  it('falls back to English, then to the key', () => {
+    const { t } = createI18n('xx');
+    expect(t('circle.start')).toBe('START');
+    expect(t('no.such.key')).toBe('no.such.key');
+  });
+
+  it('names built-in entries and leaves user-made ones alone', () => {
+    const { name } = createI18n('de');
+    expect(name('bellSound', { id: 'bowl', name: 'Singing bowl' })).toBe('Klangschale');
+    expect(name('preset', { id: 'user-abc', name: 'Morning' })).toBe('Morning');
+    expect(createI18n('en').name('bellSound', { id: 'bowl', name: 'Singing bowl' })).toBe('Singing bowl');
+  });
+
+  it('marks right-to-left languages', () => {
+    expect(createI18n('ar').dir).toBe('rtl');
+    expect(createI18n('de').dir).toBe('ltr');
+  });
+});
+
+describe('detectLocale', () => {
+  it('uses the first preferred language with a catalog', () => {
+    expect(detectLocale(['fr-FR', 'de-AT', 'en'])).toBe('de');
+    expect(detectLocale(['ja'])).toBe('ja');
+    expect(detectLocale(['fr'])).toBe('en');
+    expect(detectLocale([])).toBe('en');
+  });
+});
+
+describe('localized library text', () => {
+  it('keeps English messages on errors and translates them by key', () => {
+    let err;
+    try { parseScript('0:30 ok\n5:75 bad'); } catch (e) { err = e; }
+    expect(err.message).toBe('line 2: "5:75" is not a time like 5:00');
+    expect(createI18n('de').error(err)).toBe('Zeile 2: „5:75“ ist keine Zeitangabe wie 5:00');
+    expect(createI18n('de').error(new Error('plain'))).toBe('plain');
+    expect(localError('error.scriptEmpty').message).toBe('Script is empty');
+  });
+
+  it('describes schedules and phases in the given language', () => {
+    const { t } = createI18n('de');
+    expect(describeSchedule({ type: 'interval', every: 10 })).toBe('every 10 min');
+    expect(describeSchedule({ type: 'custom', offsets: [1], repeat: 15 }, t)).toBe('bei 1 Min., dann alle 15');
+    expect(phaseAt({ type: 'pomodoro', work: 25, shortBreak: 5, longBreak: 15, cycles: 4 }, 0, t)).toMatchObject({ label: 'Arbeit', detail: '1 von 4' });
+  });
+});
@@ -0,0 +1,308 @@
+// Arabic, written right to left (plural categories: zero, one, two, few, many, other)
+export default {
+  'app.title': 'ZenSense مؤقّت تركيز بسيط للغاية',
+  'app.logoAlt': 'شعار ZenSense',
+  'app.tagline': 'مؤقّت تركيز بسيط للغاية للتأمل والإنتاجية.',
+  'footer.text': 'لا تتبّع ولا تسجيل دخول. فقط سكينة.',
+  'footer.copyLink': 'نسخ الرابط',
+  'footer.copyLinkTitle': 'نسخ رابط يفتح هذه الإعدادات',
+  'footer.shortcutsTitle': 'اختصارات لوحة المفاتيح',
+  'update.ready': 'يتوفر إصدار جديد.',
+  'update.reload': 'إعادة التحميل',
+  'update.afterSession': 'متاح بعد هذه الجلسة',
+  'common.close': 'إغلاق',
+  'common.cancel': 'إلغاء',
+  'common.dismiss': 'إخفاء',
+  'common.untitled': 'بلا عنوان',
+
+  'duration.hours': { zero: '{count} ساعة', one: 'ساعة واحدة', two: 'ساعتان', few: '{count} ساعات', many: '{count} ساعة', other: '{count} ساعة' },
+  'duration.minutes': { zero: '{count} دقيقة', one: 'دقيقة واحدة', two: 'دقيقتان', few: '{count} دقائق', many: '{count} دقيقة', other: '{count} دقيقة' },
+  'duration.seconds': { zero: '{count} ثانية', one: 'ثانية واحدة', two: 'ثانيتان', few: '{count} ثوانٍ', many: '{count} ثانية', other: '{count} ثانية' },
+
+  'circle.start': 'ابدأ',
+  'circle.pause': 'إيقاف مؤقت',
+  'circle.resume': 'استئناف',
+  'circle.done': 'تم',
+  'circle.join': 'انضم',
+  'circle.leave': 'غادر',
+  'circle.reset': 'إعادة ضبط',
+  'confirm.reset': 'إعادة ضبط هذه الجلسة؟',
+  'confirm.leaveGroup': 'مغادرة هذه الجلسة الجماعية؟',
+  'top.mute': 'كتم الخلفية الصوتية',
+  'top.unmute': 'تشغيل الخلفية الصوتية',
+  'top.muteTitle': 'كتم',
+  'top.unmuteTitle': 'إلغاء الكتم',
+  'top.settings': 'فتح الإعدادات',
+  'top.settingsTitle': 'الإعدادات',
+  'top.history': 'فتح سجل الجلسات',
+  'top.historyTitle': 'السجل',
+
+  'setup.bells': 'الأجراس',
+  'setup.scheduleAria': 'جدول الأجراس',
+  'setup.fixedInterval': 'فاصل ثابت',
+  'setup.newSchedule': 'جدول جديد…',
+  'setup.groupPlan': 'خطة المجموعة',
+  'setup.deletePreset': 'حذف القالب {name}',
+  'setup.deletePresetTitle': 'حذف القالب',
+  'setup.bellEvery': 'جرس كل',
+  'setup.intervalAria': 'الفاصل بين الأجراس بالدقائق',
+  'setup.intervalUnit': { zero: 'دقيقة', one: 'دقيقة', two: 'دقيقتين', few: 'دقائق', many: 'دقيقة', other: 'دقيقة' },
+  'setup.session': 'الجلسة',
+  'setup.lengthAria': 'مدة الجلسة',
+  'setup.open': 'مفتوحة',
+  'setup.lengthUnit': { zero: 'دقيقة', one: 'دقيقة', two: 'دقيقتان', few: 'دقائق', many: 'دقيقة', other: 'دقيقة' },
+  'setup.bellSound': 'صوت الجرس',
+  'setup.notify': 'نبّهني بالأجراس عندما تكون علامة التبويب مخفية',
+  'setup.soundscape': 'الخلفية الصوتية',
+  'setup.groupSit': 'جلسة جماعية',
+  'setup.breathing': 'مُنظِّم التنفس',
+  'setup.guidance': 'الإرشاد',
+
+  'timer.elapsedAria': 'المنقضي {duration}',
+  'timer.remainingAria': 'المتبقي {duration}',
+  'timer.startsInAria': 'تبدأ الجلسة الجماعية بعد {duration}',
+  'timer.remaining': 'متبقٍ',
+  'timer.complete': 'اكتملت الجلسة',
+  'timer.untilGroup': 'حتى تبدأ الجلسة الجماعية',
+  'timer.otherTab': 'تُقرع الأجراس في علامة تبويب أخرى من ZenSense',
+  'phase.settling': 'الاستقرار',
+  'phase.sitting': 'الجلوس',
+  'phase.work': 'عمل',
+  'phase.break': 'استراحة قصيرة',
+  'phase.longBreak': 'استراحة طويلة',
+  'phase.cycle': '{cycle} من {cycles}',
+  'phase.left': 'متبقٍ {time}',
+  'breath.inhale': 'شهيق',
+  'breath.holdIn': 'احبس',
+  'breath.exhale': 'زفير',
+  'breath.holdOut': 'احبس',
+
+  'schedule.every': 'كل {count} د',
+  'schedule.at': 'عند {list} د',
+  'schedule.thenEvery': 'ثم كل {count}',
+  'schedule.pomodoro': '{work}/{shortBreak}، طويلة {longBreak} كل {cycles}',
+
+  'bell.interval': 'جرس',
+  'bell.work': 'العودة إلى العمل',
+  'bell.break': 'استراحة قصيرة',
+  'bell.longBreak': 'استراحة طويلة',
+  'bell.end': 'اكتملت الجلسة',
+  'notify.elapsed': 'انقضى {time}',
+  'media.elapsed': 'ZenSense — انقضى {time}',
+  'media.startsIn': 'ZenSense — يبدأ بعد {time}',
+  'media.complete': 'اكتملت الجلسة',
+  'announce.started': 'بدأت الجلسة.',
+  'announce.resumed': 'استؤنفت الجلسة.',
+  'announce.paused': 'توقفت مؤقتًا بعد {duration}.',
+  'announce.bell': '{bell} بعد {duration}.',
+  'announce.finished': 'اكتملت الجلسة بعد {duration}.',
+  'announce.reset': 'أُعيد ضبط الجلسة.',
+  'announce.joined': 'انضممت إلى الجلسة الجماعية. تبدأ بعد {duration}.',
+  'announce.joinedLate': 'انضممت إلى الجلسة الجماعية بعد مرور {duration}.',
+  'announce.groupStarted': 'بدأت الجلسة الجماعية.',
+  'announce.soundOn': 'الخلفية الصوتية تعمل.',
+  'announce.soundMuted': 'كُتمت الخلفية الصوتية.',
+  'announce.bellEvery': { zero: 'جرس كل {count} دقيقة.', one: 'جرس كل دقيقة.', two: 'جرس كل دقيقتين.', few: 'جرس كل {count} دقائق.', many: 'جرس كل {count} دقيقة.', other: 'جرس كل {count} دقيقة.' },
+  'notice.finishedWhileClosed': 'انتهت جلستك بينما كانت الصفحة مغلقة.',
+  'notice.resumedRunning': 'استؤنفت الجلسة. استمرت في العمل بينما كانت الصفحة مغلقة.',
+  'notice.restoredPaused': 'استُعيدت الجلسة المتوقفة مؤقتًا.',
+  'link.inProgress': 'هناك جلسة جارية، لذا لم تُطبَّق إعدادات هذا الرابط.',
+  'link.invalid': 'لم تُفهم بعض إعدادات الرابط فاستُخدمت القيم الافتراضية: {params}.',
+  'link.groupEnded': 'انتهت هذه الجلسة الجماعية بالفعل.',
+  'link.setupCopied': 'نُسخ رابط هذه الإعدادات.',
+  'link.groupCopied': 'نُسخ رابط المجموعة.',
+  'link.groupCreated': 'نُسخ رابط المجموعة. شاركه مع جميع المشاركين.',
+  'link.copyThis': 'انسخ هذا الرابط: {url}',
+  'link.planAdded': 'أُضيف الجدول المشترك إلى إعداداتك المحفوظة باسم «{name}».',
+  'silent.offer': 'يبدو أن الصوت محظور هنا. هل تريد عرض الأجراس بصمت بدلاً من ذلك، بتوهج واهتزاز؟',
+  'silent.use': 'استخدام الأجراس الصامتة',
+  'silent.keep': 'إبقاء الصوت',
+
+  'bells.soundAria.start': 'صوت جرس البداية',
+  'bells.soundAria.interval': 'صوت الجرس الدوري',
+  'bells.soundAria.end': 'صوت جرس النهاية',
+  'bells.preview.start': 'معاينة جرس البداية',
+  'bells.preview.interval': 'معاينة الجرس الدوري',
+  'bells.preview.end': 'معاينة جرس النهاية',
+  'bells.volume': 'مستوى الصوت',
+  'bells.volumeAria': 'مستوى صوت الجرس',
+  'bells.mode': 'الأجراس',
+  'bells.modeAria': 'طريقة التنبيه بالأجراس',
+  'bells.noVibration': 'هذا الجهاز لا يدعم الاهتزاز، لذا تكتفي الأجراس الصامتة بتوهج الشاشة.',
+
+  'mixer.presetAria': 'قالب الخلفية الصوتية',
+  'mixer.custom': 'مزيج مخصص',
+  'mixer.delete': 'حذف المزيج {name}',
+  'mixer.layerAria': 'مستوى صوت {layer}',
+  'mixer.name': 'اسم المزيج',
+  'mixer.save': 'حفظ المزيج',
+  'mixer.defaultName': 'مزيجي',
+
+  'editor.aria': 'جدول أجراس جديد',
+  'editor.name': 'اسم القالب',
+  'editor.type': 'نوع الجدول',
+  'editor.custom': 'أجراس مخصصة',
+  'editor.pomodoro': 'بومودورو',
+  'editor.bellsAt': 'أجراس عند',
+  'editor.offsetsAria': 'دقائق الأجراس مفصولة بفواصل',
+  'editor.thenEvery': 'د، ثم كل',
+  'editor.repeatAria': 'التكرار كل كم دقيقة',
+  'editor.min': 'د',
+  'editor.work': 'عمل',
+  'editor.break': 'استراحة',
+  'editor.longBreak': 'استراحة طويلة',
+  'editor.cycles': 'الدورات',
+  'editor.save': 'حفظ القالب',
+
+  'group.summary': 'جلسة جماعية الساعة {time}',
+  'group.summaryDate': 'جلسة جماعية يوم {date} الساعة {time}',
+  'group.plan': 'الأجراس {plan}',
+  'group.noBells': 'لا شيء',
+  'group.copy': 'نسخ رابط المجموعة',
+  'group.leave': 'مغادرة الجلسة الجماعية',
+  'group.formAria': 'إنشاء جلسة جماعية',
+  'group.startsAt': 'يبدأ الجميع في',
+  'group.create': 'إنشاء رابط المجموعة',
+  'group.hint': 'تُستخدم الأجراس ومدة الجلسة المحددة أعلاه. تتبع الأجراس الساعة على كل جهاز.',
+  'group.pickTime': 'اختر وقت البدء',
+  'group.startPassed': 'وقت البدء هذا قد مضى',
+
+  'pacer.patternAria': 'نمط التنفس',
+  'pacer.off': 'مُنظِّم التنفس متوقف',
+  'pacer.new': 'نمط جديد…',
+  'pacer.delete': 'حذف النمط {name}',
+  'pacer.seconds': '{pattern} ث',
+  'pacer.cues': 'نغمة هادئة عند كل مرحلة',
+  'pacer.formAria': 'نمط تنفس جديد',
+  'pacer.name': 'اسم النمط',
+  'pacer.field.inhale': 'شهيق (ث)',
+  'pacer.field.holdIn': 'حبس بعد الشهيق (ث)',
+  'pacer.field.exhale': 'زفير (ث)',
+  'pacer.field.holdOut': 'حبس بعد الزفير (ث)',
+  'pacer.save': 'حفظ النمط',
+
+  'guide.scriptAria': 'نص الإرشاد',
+  'guide.none': 'بدون إرشاد',
+  'guide.new': 'نص جديد…',
+  'guide.delete': 'حذف النص {name}',
+  'guide.deliveryAria': 'طريقة تقديم الإرشادات',
+  'guide.noSpeech': 'النطق غير متاح في هذا المتصفح',
+  'guide.prompts': 'الإرشادات في {name}',
+  'guide.formAria': 'نص إرشاد جديد',
+  'guide.name': 'اسم النص',
+  'guide.textAria': 'إرشادات النص',
+  'guide.placeholder': '0:30 اعتدل في جلستك\n5:00 عُد إلى التنفس',
+  'guide.format': 'إرشاد واحد في كل سطر بصيغة «m:ss النص»، أو قائمة JSON من { "at", "text" }',
+  'guide.save': 'حفظ النص',
+  'guide.defaultName': 'نصي',
+
+  'history.aria': 'سجل الجلسات',
+  'history.title': 'السجل',
+  'history.close': 'إغلاق السجل',
+  'history.totalMinutes': { other: 'إجمالي الدقائق' },
+  'history.sessions': { zero: 'جلسة', one: 'جلسة', two: 'جلستان', few: 'جلسات', many: 'جلسة', other: 'جلسة' },
+  'history.avgMinutes': 'متوسط الدقائق',
+  'history.streak': 'أيام متتالية',
+  'history.longestStreak': 'أطول سلسلة',
+  'history.heatmapAria': { one: 'الدقائق يوميًا خلال الأسبوع الماضي', two: 'الدقائق يوميًا خلال الأسبوعين الماضيين', few: 'الدقائق يوميًا خلال آخر {count} أسابيع', other: 'الدقائق يوميًا خلال آخر {count} أسبوعًا' },
+  'history.dayMinutes': '{day}: {count} د',
+  'history.exportJson': 'تصدير JSON',
+  'history.exportCsv': 'تصدير CSV',
+  'history.import': 'استيراد',
+  'history.clear': 'مسح',
+  'history.imported': { zero: 'لم تُستورد أي جلسة جديدة.', one: 'استُوردت جلسة جديدة واحدة.', two: 'استُوردت جلستان جديدتان.', few: 'استُوردت {count} جلسات جديدة.', many: 'استُوردت {count} جلسة جديدة.', other: 'استُوردت {count} جلسة جديدة.' },
+  'history.importFailed': 'فشل الاستيراد: {error}',
+  'history.confirmClear': 'حذف جميع الجلسات المحفوظة على هذا الجهاز؟',
+  'history.cleared': 'مُسح السجل.',
+  'history.minutes': '{count} د',
+  'history.bell': 'جرس {count}',
+  'history.pauses': { zero: '{count} توقف', one: 'توقف واحد', two: 'توقفان', few: '{count} توقفات', many: '{count} توقفًا', other: '{count} توقف' },
+  'history.empty': 'لا توجد جلسات بعد. تُحفظ الجلسات المكتملة على هذا الجهاز فقط.',
+
+  'shortcuts.title': 'اختصارات لوحة المفاتيح',
+  'shortcuts.keySpace': 'مسافة',
+  'shortcuts.keyEsc': 'Esc',
+  'shortcuts.space': 'بدء / إيقاف مؤقت / استئناف',
+  'shortcuts.reset': 'إعادة الضبط (بعد التأكيد)',
+  'shortcuts.mute': 'كتم / تشغيل الخلفية الصوتية',
+  'shortcuts.arrows': 'تغيير الفاصل بين الأجراس (قبل البدء)',
+  'shortcuts.history': 'سجل الجلسات',
+  'shortcuts.settings': 'الإعدادات',
+  'shortcuts.help': 'إظهار / إخفاء هذه المساعدة',
+  'shortcuts.close': 'إغلاق النوافذ',
+
+  'settings.title': 'الإعدادات',
+  'settings.language': 'اللغة',
+  'settings.languageAuto': 'مثل المتصفح',
+  'settings.theme': 'المظهر',
+  'settings.accent': 'اللون المميز',
+  'settings.timerSize': 'حجم المؤقّت',
+  'settings.hideClock': 'إخفاء الساعة أثناء الجلوس',
+  'settings.dim': 'تعتيم الشاشة أثناء التشغيل',
+  'settings.dimStrength': 'شدة التعتيم',
+  'settings.dimDelay': 'التعتيم بعد (ثوانٍ)',
+  'settings.restore': 'استعادة الافتراضيات',
+
+  'error.scheduleEmpty': 'لا يحتوي الجدول على أجراس',
+  'error.patternInvalid': 'يحتاج النمط إلى شهيق وزفير (حتى 60 ثانية لكل منهما)',
+  'error.scriptEmpty': 'النص فارغ',
+  'error.scriptJson': 'النص ليس JSON صالحًا',
+  'error.scriptList': 'يحتاج نص JSON إلى قائمة من الإرشادات',
+  'error.scriptNoPrompts': 'لا يحتوي النص على إرشادات',
+  'error.lineTime': 'السطر {n}: «{at}» ليس وقتًا مثل 5:00',
+  'error.promptTime': 'الإرشاد {n}: «{at}» ليس وقتًا مثل 5:00',
+  'error.lineText': 'السطر {n}: نص الإرشاد مفقود',
+  'error.promptText': 'الإرشاد {n}: نص الإرشاد مفقود',
+  'error.importJson': 'لم يُعثر على جلسات في JSON',
+  'error.importCsv': 'يحتاج ملف CSV إلى العمودين startedAt و durationSec',
+
+  // Built-in list entries
+  'preset.settle-15': 'استقرار 1، ثم كل 15',
+  'preset.pomodoro-25': 'بومودورو 25/5',
+  'preset.pomodoro-50': 'بومودورو 50/10',
+  'bellSound.bell': 'جرس المعبد',
+  'bellSound.bowl': 'وعاء غنائي',
+  'bellSound.gong': 'صنج',
+  'bellSound.woodblock': 'قالب خشبي',
+  'bellSound.chime': 'رنين ناعم',
+  'bellType.start': 'البداية',
+  'bellType.interval': 'دوري',
+  'bellType.end': 'النهاية',
+  'bellMode.audio': 'الصوت فقط',
+  'bellMode.visual': 'التوهج والاهتزاز فقط',
+  'bellMode.both': 'الصوت والتوهج والاهتزاز',
+  'layer.white': 'ضوضاء بيضاء',
+  'layer.pink': 'ضوضاء وردية',
+  'layer.brown': 'ضوضاء بنية',
+  'layer.rain': 'مطر',
+  'layer.drone': 'طنين',
+  'mix.calm': 'هدوء (بنية + طنين)',
+  'mix.rain': 'مطر خفيف',
+  'mix.focus': 'تركيز (وردية)',
+  'mix.drone': 'طنين عميق',
+  'pattern.box': 'المربع 4-4-4-4',
+  'pattern.478': '4-7-8 للاسترخاء',
+  'pattern.coherent': 'المتناغم 5.5/5.5',
+  'script.settle-10': 'الاستقرار (10 د، بالإنجليزية)',
+  'script.body-scan-20': 'مسح الجسد (20 د، بالإنجليزية)',
+  'script.breath-open': 'تذكير بالتنفس (مفتوح، بالإنجليزية)',
+  'guidanceMode.voice': 'منطوق',
+  'guidanceMode.caption': 'نص مكتوب',
+  'guidanceMode.both': 'منطوق + نص مكتوب',
+  'theme.dark': 'داكن',
+  'theme.oled': 'أسود OLED',
+  'theme.light': 'فاتح',
+  'theme.contrast': 'تباين عالٍ',
+  'accent.sky': 'سماوي',
+  'accent.violet': 'بنفسجي',
+  'accent.amber': 'كهرماني',
+  'accent.rose': 'وردي',
+  'accent.jade': 'يشمي',
+  'timerSize.small': 'صغير',
+  'timerSize.medium': 'متوسط',
+  'timerSize.large': 'كبير',
+  'timerSize.huge': 'ضخم',
+  'dimMode.mobile': 'على الشاشات الصغيرة',
+  'dimMode.always': 'دائمًا',
+  'dimMode.off': 'أبدًا',
+};
@@ -0,0 +1,308 @@
+// German
+export default {
+  'app.title': 'ZenSense – ultraminimaler Fokus-Timer',
+  'app.logoAlt': 'ZenSense-Logo',
+  'app.tagline': 'Dein ultraminimaler Fokus-Timer für Meditation und Produktivität.',
+  'footer.text': 'Kein Tracking, keine Anmeldung. Einfach Ruhe.',
+  'footer.copyLink': 'Link kopieren',
+  'footer.copyLinkTitle': 'Einen Link kopieren, der diese Einstellungen öffnet',
+  'footer.shortcutsTitle': 'Tastenkürzel',
+  'update.ready': 'Eine neue Version ist bereit.',
+  'update.reload': 'Neu laden',
+  'update.afterSession': 'Nach dieser Sitzung verfügbar',
+  'common.close': 'Schließen',
+  'common.cancel': 'Abbrechen',
+  'common.dismiss': 'Ausblenden',
+  'common.untitled': 'Unbenannt',
+
+  'duration.hours': { one: '{count} Stunde', other: '{count} Stunden' },
+  'duration.minutes': { one: '{count} Minute', other: '{count} Minuten' },
+  'duration.seconds': { one: '{count} Sekunde', other: '{count} Sekunden' },
+
+  'circle.start': 'START',
+  'circle.pause': 'PAUSE',
+  'circle.resume': 'WEITER',
+  'circle.done': 'FERTIG',
+  'circle.join': 'BEITRETEN',
+  'circle.leave': 'VERLASSEN',
+  'circle.reset': 'ZURÜCKSETZEN',
+  'confirm.reset': 'Diese Sitzung zurücksetzen?',
+  'confirm.leaveGroup': 'Diese Gruppensitzung verlassen?',
+  'top.mute': 'Klanglandschaft stummschalten',
+  'top.unmute': 'Klanglandschaft einschalten',
+  'top.muteTitle': 'Stumm',
+  'top.unmuteTitle': 'Ton an',
+  'top.settings': 'Einstellungen öffnen',
+  'top.settingsTitle': 'Einstellungen',
+  'top.history': 'Sitzungsverlauf öffnen',
+  'top.historyTitle': 'Verlauf',
+
+  'setup.bells': 'Glocken',
+  'setup.scheduleAria': 'Glockenplan',
+  'setup.fixedInterval': 'Festes Intervall',
+  'setup.newSchedule': 'Neuer Plan…',
+  'setup.groupPlan': 'Plan der Gruppe',
+  'setup.deletePreset': 'Vorlage {name} löschen',
+  'setup.deletePresetTitle': 'Vorlage löschen',
+  'setup.bellEvery': 'Glocke alle',
+  'setup.intervalAria': 'Glockenintervall in Minuten',
+  'setup.intervalUnit': { one: 'Minute', other: 'Minuten' },
+  'setup.session': 'Sitzung',
+  'setup.lengthAria': 'Sitzungsdauer',
+  'setup.open': 'offen',
+  'setup.lengthUnit': { one: 'Minute', other: 'Minuten' },
+  'setup.bellSound': 'Glockenklang',
+  'setup.notify': 'Bei Glocken benachrichtigen, wenn der Tab im Hintergrund ist',
+  'setup.soundscape': 'Klanglandschaft',
+  'setup.groupSit': 'Gruppensitzung',
+  'setup.breathing': 'Atemhilfe',
+  'setup.guidance': 'Anleitung',
+
+  'timer.elapsedAria': 'Vergangen: {duration}',
+  'timer.remainingAria': 'Verbleibend: {duration}',
+  'timer.startsInAria': 'Die Gruppensitzung beginnt in {duration}',
+  'timer.remaining': 'verbleibend',
+  'timer.complete': 'Sitzung beendet',
+  'timer.untilGroup': 'bis die Gruppensitzung beginnt',
+  'timer.otherTab': 'Die Glocken klingen in einem anderen ZenSense-Tab',
+  'phase.settling': 'Ankommen',
+  'phase.sitting': 'Sitzen',
+  'phase.work': 'Arbeit',
+  'phase.break': 'Kurze Pause',
+  'phase.longBreak': 'Lange Pause',
+  'phase.cycle': '{cycle} von {cycles}',
+  'phase.left': 'noch {time}',
+  'breath.inhale': 'Einatmen',
+  'breath.holdIn': 'Halten',
+  'breath.exhale': 'Ausatmen',
+  'breath.holdOut': 'Halten',
+
+  'schedule.every': 'alle {count} Min.',
+  'schedule.at': 'bei {list} Min.',
+  'schedule.thenEvery': 'dann alle {count}',
+  'schedule.pomodoro': '{work}/{shortBreak}, lang {longBreak} alle {cycles}',
+
+  'bell.interval': 'Glocke',
+  'bell.work': 'Zurück an die Arbeit',
+  'bell.break': 'Kurze Pause',
+  'bell.longBreak': 'Lange Pause',
+  'bell.end': 'Sitzung beendet',
+  'notify.elapsed': '{time} vergangen',
+  'media.elapsed': 'ZenSense — {time} vergangen',
+  'media.startsIn': 'ZenSense — beginnt in {time}',
+  'media.complete': 'Sitzung abgeschlossen',
+  'announce.started': 'Sitzung gestartet.',
+  'announce.resumed': 'Sitzung fortgesetzt.',
+  'announce.paused': 'Pausiert bei {duration}.',
+  'announce.bell': '{bell} bei {duration}.',
+  'announce.finished': 'Sitzung nach {duration} beendet.',
+  'announce.reset': 'Sitzung zurückgesetzt.',
+  'announce.joined': 'Der Gruppensitzung beigetreten. Sie beginnt in {duration}.',
+  'announce.joinedLate': 'Der Gruppensitzung nach {duration} beigetreten.',
+  'announce.groupStarted': 'Die Gruppensitzung hat begonnen.',
+  'announce.soundOn': 'Klanglandschaft an.',
+  'announce.soundMuted': 'Klanglandschaft stumm.',
+  'announce.bellEvery': { one: 'Glocke jede Minute.', other: 'Glocke alle {count} Minuten.' },
+  'notice.finishedWhileClosed': 'Deine Sitzung wurde beendet, während die Seite geschlossen war.',
+  'notice.resumedRunning': 'Sitzung fortgesetzt. Sie lief weiter, während die Seite geschlossen war.',
+  'notice.restoredPaused': 'Pausierte Sitzung wiederhergestellt.',
+  'link.inProgress': 'Eine Sitzung läuft bereits, daher wurden die Einstellungen aus diesem Link nicht übernommen.',
+  'link.invalid': 'Einige Link-Einstellungen wurden nicht erkannt und nutzen Standardwerte: {params}.',
+  'link.groupEnded': 'Diese Gruppensitzung ist bereits vorbei.',
+  'link.setupCopied': 'Link zu diesen Einstellungen kopiert.',
+  'link.groupCopied': 'Gruppenlink kopiert.',
+  'link.groupCreated': 'Gruppenlink kopiert. Teile ihn mit allen, die mitsitzen.',
+  'link.copyThis': 'Diesen Link kopieren: {url}',
+  'link.planAdded': 'Der geteilte Plan wurde als „{name}“ zu deinen Vorlagen hinzugefügt.',
+  'silent.offer': 'Der Ton scheint hier blockiert zu sein. Glocken stattdessen lautlos zeigen, mit Leuchten und Vibration?',
+  'silent.use': 'Stille Glocken verwenden',
+  'silent.keep': 'Ton behalten',
+
+  'bells.soundAria.start': 'Klang der Startglocke',
+  'bells.soundAria.interval': 'Klang der Intervallglocke',
+  'bells.soundAria.end': 'Klang der Schlussglocke',
+  'bells.preview.start': 'Startglocke anhören',
+  'bells.preview.interval': 'Intervallglocke anhören',
+  'bells.preview.end': 'Schlussglocke anhören',
+  'bells.volume': 'Lautstärke',
+  'bells.volumeAria': 'Glockenlautstärke',
+  'bells.mode': 'Glocken',
+  'bells.modeAria': 'Wie Glocken angezeigt werden',
+  'bells.noVibration': 'Dieses Gerät kann nicht vibrieren, stille Glocken leuchten nur auf dem Bildschirm.',
+
+  'mixer.presetAria': 'Klang-Vorlage',
+  'mixer.custom': 'Eigene Mischung',
+  'mixer.delete': 'Mischung {name} löschen',
+  'mixer.layerAria': 'Lautstärke {layer}',
+  'mixer.name': 'Name der Mischung',
+  'mixer.save': 'Mischung speichern',
+  'mixer.defaultName': 'Meine Mischung',
+
+  'editor.aria': 'Neuer Glockenplan',
+  'editor.name': 'Name der Vorlage',
+  'editor.type': 'Art des Plans',
+  'editor.custom': 'Eigene Glocken',
+  'editor.pomodoro': 'Pomodoro',
+  'editor.bellsAt': 'Glocken bei',
+  'editor.offsetsAria': 'Glockenminuten, durch Kommas getrennt',
+  'editor.thenEvery': 'Min., dann alle',
+  'editor.repeatAria': 'Wiederholen alle … Minuten',
+  'editor.min': 'Min.',
+  'editor.work': 'Arbeit',
+  'editor.break': 'Pause',
+  'editor.longBreak': 'Lange Pause',
+  'editor.cycles': 'Durchgänge',
+  'editor.save': 'Vorlage speichern',
+
+  'group.summary': 'Gruppensitzung um {time}',
+  'group.summaryDate': 'Gruppensitzung am {date} um {time}',
+  'group.plan': 'Glocken {plan}',
+  'group.noBells': 'keine',
+  'group.copy': 'Gruppenlink kopieren',
+  'group.leave': 'Gruppensitzung verlassen',
+  'group.formAria': 'Gruppensitzung erstellen',
+  'group.startsAt': 'Alle beginnen um',
+  'group.create': 'Gruppenlink erstellen',
+  'group.hint': 'Verwendet die Glocken und die Sitzungsdauer von oben. Die Glocken folgen auf jedem Gerät der Uhr.',
+  'group.pickTime': 'Wähle eine Startzeit',
+  'group.startPassed': 'Diese Startzeit ist bereits vorbei',
+
+  'pacer.patternAria': 'Atemmuster',
+  'pacer.off': 'Atemhilfe aus',
+  'pacer.new': 'Neues Muster…',
+  'pacer.delete': 'Muster {name} löschen',
+  'pacer.seconds': '{pattern} s',
+  'pacer.cues': 'Sanfter Ton bei jeder Phase',
+  'pacer.formAria': 'Neues Atemmuster',
+  'pacer.name': 'Name des Musters',
+  'pacer.field.inhale': 'Einatmen (s)',
+  'pacer.field.holdIn': 'Halten nach dem Einatmen (s)',
+  'pacer.field.exhale': 'Ausatmen (s)',
+  'pacer.field.holdOut': 'Halten nach dem Ausatmen (s)',
+  'pacer.save': 'Muster speichern',
+
+  'guide.scriptAria': 'Geführtes Skript',
+  'guide.none': 'Keine Anleitung',
+  'guide.new': 'Neues Skript…',
+  'guide.delete': 'Skript {name} löschen',
+  'guide.deliveryAria': 'Art der Ansage',
+  'guide.noSpeech': 'Sprachausgabe ist in diesem Browser nicht verfügbar',
+  'guide.prompts': 'Ansagen in {name}',
+  'guide.formAria': 'Neues geführtes Skript',
+  'guide.name': 'Name des Skripts',
+  'guide.textAria': 'Ansagen des Skripts',
+  'guide.placeholder': '0:30 Richte deine Haltung ein\n5:00 Kehre zum Atem zurück',
+  'guide.format': 'Eine Ansage pro Zeile als „m:ss Text“ oder eine JSON-Liste aus { "at", "text" }',
+  'guide.save': 'Skript speichern',
+  'guide.defaultName': 'Mein Skript',
+
+  'history.aria': 'Sitzungsverlauf',
+  'history.title': 'Verlauf',
+  'history.close': 'Verlauf schließen',
+  'history.totalMinutes': { one: 'Minute insgesamt', other: 'Minuten insgesamt' },
+  'history.sessions': { one: 'Sitzung', other: 'Sitzungen' },
+  'history.avgMinutes': 'Minuten im Schnitt',
+  'history.streak': 'Tage in Folge',
+  'history.longestStreak': 'längste Serie',
+  'history.heatmapAria': { one: 'Minuten pro Tag in der letzten Woche', other: 'Minuten pro Tag in den letzten {count} Wochen' },
+  'history.dayMinutes': '{day}: {count} Min.',
+  'history.exportJson': 'Als JSON exportieren',
+  'history.exportCsv': 'Als CSV exportieren',
+  'history.import': 'Importieren',
+  'history.clear': 'Löschen',
+  'history.imported': { one: '{count} neue Sitzung importiert.', other: '{count} neue Sitzungen importiert.' },
+  'history.importFailed': 'Import fehlgeschlagen: {error}',
+  'history.confirmClear': 'Alle auf diesem Gerät gespeicherten Sitzungen löschen?',
+  'history.cleared': 'Verlauf gelöscht.',
+  'history.minutes': '{count} Min.',
+  'history.bell': 'Glocke {count}',
+  'history.pauses': { one: '{count} Pause', other: '{count} Pausen' },
+  'history.empty': 'Noch keine Sitzungen. Beendete Sitzungen werden nur auf diesem Gerät gespeichert.',
+
+  'shortcuts.title': 'Tastenkürzel',
+  'shortcuts.keySpace': 'Leertaste',
+  'shortcuts.keyEsc': 'Esc',
+  'shortcuts.space': 'Starten / pausieren / fortsetzen',
+  'shortcuts.reset': 'Zurücksetzen (mit Rückfrage)',
+  'shortcuts.mute': 'Klanglandschaft stumm / an',
+  'shortcuts.arrows': 'Glockenintervall ändern (vor dem Start)',
+  'shortcuts.history': 'Sitzungsverlauf',
+  'shortcuts.settings': 'Einstellungen',
+  'shortcuts.help': 'Diese Hilfe ein- / ausblenden',
+  'shortcuts.close': 'Dialoge schließen',
+
+  'settings.title': 'Einstellungen',
+  'settings.language': 'Sprache',
+  'settings.languageAuto': 'Wie im Browser',
+  'settings.theme': 'Design',
+  'settings.accent': 'Akzentfarbe',
+  'settings.timerSize': 'Größe der Uhr',
+  'settings.hideClock': 'Uhr während des Sitzens ausblenden',
+  'settings.dim': 'Bildschirm während der Sitzung abdunkeln',
+  'settings.dimStrength': 'Stärke der Abdunklung',
+  'settings.dimDelay': 'Abdunkeln nach (Sekunden)',
+  'settings.restore': 'Standard wiederherstellen',
+
+  'error.scheduleEmpty': 'Der Plan enthält keine Glocken',
+  'error.patternInvalid': 'Ein Muster braucht Ein- und Ausatmen (jeweils bis zu 60 s)',
+  'error.scriptEmpty': 'Das Skript ist leer',
+  'error.scriptJson': 'Das Skript ist kein gültiges JSON',
+  'error.scriptList': 'Ein JSON-Skript braucht eine Liste von Ansagen',
+  'error.scriptNoPrompts': 'Das Skript enthält keine Ansagen',
+  'error.lineTime': 'Zeile {n}: „{at}“ ist keine Zeitangabe wie 5:00',
+  'error.promptTime': 'Ansage {n}: „{at}“ ist keine Zeitangabe wie 5:00',
+  'error.lineText': 'Zeile {n}: Der Ansagetext fehlt',
+  'error.promptText': 'Ansage {n}: Der Ansagetext fehlt',
+  'error.importJson': 'Im JSON wurden keine Sitzungen gefunden',
+  'error.importCsv': 'Die CSV-Datei braucht die Spalten startedAt und durationSec',
+
+  // Built-in list entries
+  'preset.settle-15': 'Ankommen 1, dann alle 15',
+  'preset.pomodoro-25': 'Pomodoro 25/5',
+  'preset.pomodoro-50': 'Pomodoro 50/10',
+  'bellSound.bell': 'Tempelglocke',
+  'bellSound.bowl': 'Klangschale',
+  'bellSound.gong': 'Gong',
+  'bellSound.woodblock': 'Holzblock',
+  'bellSound.chime': 'Sanftes Glockenspiel',
+  'bellType.start': 'Start',
+  'bellType.interval': 'Intervall',
+  'bellType.end': 'Ende',
+  'bellMode.audio': 'Nur Ton',
+  'bellMode.visual': 'Nur Leuchten und Vibration',
+  'bellMode.both': 'Ton, Leuchten und Vibration',
+  'layer.white': 'Weißes Rauschen',
+  'layer.pink': 'Rosa Rauschen',
+  'layer.brown': 'Braunes Rauschen',
+  'layer.rain': 'Regen',
+  'layer.drone': 'Klangteppich',
+  'mix.calm': 'Ruhig (braun + Klangteppich)',
+  'mix.rain': 'Sanfter Regen',
+  'mix.focus': 'Fokus (rosa)',
+  'mix.drone': 'Tiefer Klangteppich',
+  'pattern.box': 'Box 4-4-4-4',
+  'pattern.478': '4-7-8 entspannend',
+  'pattern.coherent': 'Kohärent 5,5/5,5',
+  'script.settle-10': 'Ankommen (10 Min., Englisch)',
+  'script.body-scan-20': 'Body-Scan (20 Min., Englisch)',
+  'script.breath-open': 'Atem-Erinnerungen (offen, Englisch)',
+  'guidanceMode.voice': 'Gesprochen',
+  'guidanceMode.caption': 'Untertitel',
+  'guidanceMode.both': 'Gesprochen + Untertitel',
+  'theme.dark': 'Dunkel',
+  'theme.oled': 'OLED-Schwarz',
+  'theme.light': 'Hell',
+  'theme.contrast': 'Hoher Kontrast',
+  'accent.sky': 'Himmel',
+  'accent.violet': 'Violett',
+  'accent.amber': 'Bernstein',
+  'accent.rose': 'Rosé',
+  'accent.jade': 'Jade',
+  'timerSize.small': 'Klein',
+  'timerSize.medium': 'Mittel',
+  'timerSize.large': 'Groß',
+  'timerSize.huge': 'Riesig',
+  'dimMode.mobile': 'Auf kleinen Bildschirmen',
+  'dimMode.always': 'Immer',
+  'dimMode.off': 'Nie',
+};
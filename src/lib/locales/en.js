@@ -0,0 +1,276 @@
+// English: the reference catalog. Every key used by the app lives here; other languages fall back to it.
+// Built-in list entries (presets, sounds, themes…) need no entry here: their own name is English.
+export default {
+  // App shell
+  'app.title': 'ZenSense Ultra Minimal Focus Timer',
+  'app.logoAlt': 'ZenSense logo',
+  'app.tagline': 'Your ultra-minimal focus timer for meditation & productivity.',
+  'footer.text': 'No tracking, no sign-in. Just peace.',
+  'footer.copyLink': 'Copy link',
+  'footer.copyLinkTitle': 'Copy a link that opens this setup',
+  'footer.shortcutsTitle': 'Keyboard shortcuts',
+  'update.ready': 'A new version is ready.',
+  'update.reload': 'Reload',
+  'update.afterSession': 'Available after this session',
+  'common.close': 'Close',
+  'common.cancel': 'Cancel',
+  'common.dismiss': 'Dismiss',
+  'common.untitled': 'Untitled',
+
+  // Durations (screen readers, notices)
+  'duration.hours': { one: '{count} hour', other: '{count} hours' },
+  'duration.minutes': { one: '{count} minute', other: '{count} minutes' },
+  'duration.seconds': { one: '{count} second', other: '{count} seconds' },
+
+  // Main circle and top buttons
+  'circle.start': 'START',
+  'circle.pause': 'PAUSE',
+  'circle.resume': 'RESUME',
+  'circle.done': 'DONE',
+  'circle.join': 'JOIN',
+  'circle.leave': 'LEAVE',
+  'circle.reset': 'RESET',
+  'confirm.reset': 'Reset this session?',
+  'confirm.leaveGroup': 'Leave this group sit?',
+  'top.mute': 'Mute soundscape',
+  'top.unmute': 'Unmute soundscape',
+  'top.muteTitle': 'Mute',
+  'top.unmuteTitle': 'Unmute',
+  'top.settings': 'Open settings',
+  'top.settingsTitle': 'Settings',
+  'top.history': 'Open session history',
+  'top.historyTitle': 'History',
+
+  // Setup controls
+  'setup.bells': 'Bells',
+  'setup.scheduleAria': 'Bell schedule',
+  'setup.fixedInterval': 'Fixed interval',
+  'setup.newSchedule': 'New schedule…',
+  'setup.groupPlan': 'Group plan',
+  'setup.deletePreset': 'Delete preset {name}',
+  'setup.deletePresetTitle': 'Delete preset',
+  'setup.bellEvery': 'Bell every',
+  'setup.intervalAria': 'Bell interval in minutes',
+  'setup.intervalUnit': { one: 'minute', other: 'minutes' },
+  'setup.session': 'Session',
+  'setup.lengthAria': 'Session length',
+  'setup.open': 'open',
+  'setup.lengthUnit': { one: 'minute', other: 'minutes' },
+  'setup.bellSound': 'Bell sound',
+  'setup.notify': 'Notify me of bells when the tab is hidden',
+  'setup.soundscape': 'Soundscape',
+  'setup.groupSit': 'Group sit',
+  'setup.breathing': 'Breathing pacer',
+  'setup.guidance': 'Guidance',
+
+  // Timer area
+  'timer.elapsedAria': 'Elapsed {duration}',
+  'timer.remainingAria': 'Remaining {duration}',
+  'timer.startsInAria': 'Group sit starts in {duration}',
+  'timer.remaining': 'remaining',
+  'timer.complete': 'session complete',
+  'timer.untilGroup': 'until the group sit starts',
+  'timer.otherTab': 'Bells play in another ZenSense tab',
+  'phase.settling': 'Settling in',
+  'phase.sitting': 'Sitting',
+  'phase.work': 'Work',
+  'phase.break': 'Short break',
+  'phase.longBreak': 'Long break',
+  'phase.cycle': '{cycle} of {cycles}',
+  'phase.left': '{time} left',
+  'breath.inhale': 'Inhale',
+  'breath.holdIn': 'Hold',
+  'breath.exhale': 'Exhale',
+  'breath.holdOut': 'Hold',
+
+  // Bell schedules (describeSchedule)
+  'schedule.every': 'every {count} min',
+  'schedule.at': 'at {list} min',
+  'schedule.thenEvery': 'then every {count}',
+  'schedule.pomodoro': '{work}/{shortBreak}, long {longBreak} every {cycles}',
+
+  // Bells, notices and announcements
+  'bell.interval': 'Bell',
+  'bell.work': 'Back to work',
+  'bell.break': 'Short break',
+  'bell.longBreak': 'Long break',
+  'bell.end': 'Session complete',
+  'notify.elapsed': '{time} elapsed',
+  'media.elapsed': 'ZenSense — {time} elapsed',
+  'media.startsIn': 'ZenSense — starts in {time}',
+  'media.complete': 'Session complete',
+  'announce.started': 'Session started.',
+  'announce.resumed': 'Session resumed.',
+  'announce.paused': 'Paused at {duration}.',
+  'announce.bell': '{bell} at {duration}.',
+  'announce.finished': 'Session complete after {duration}.',
+  'announce.reset': 'Session reset.',
+  'announce.joined': 'Joined the group sit. It starts in {duration}.',
+  'announce.joinedLate': 'Joined the group sit {duration} in.',
+  'announce.groupStarted': 'Group sit started.',
+  'announce.soundOn': 'Soundscape on.',
+  'announce.soundMuted': 'Soundscape muted.',
+  'announce.bellEvery': { one: 'Bell every minute.', other: 'Bell every {count} minutes.' },
+  'notice.finishedWhileClosed': 'Your session finished while the page was closed.',
+  'notice.resumedRunning': 'Session resumed. It kept running while the page was closed.',
+  'notice.restoredPaused': 'Paused session restored.',
+  'link.inProgress': 'A session is in progress, so the settings in this link were not applied.',
+  'link.invalid': 'Some link settings were not understood and use defaults: {params}.',
+  'link.groupEnded': 'This group sit has already ended.',
+  'link.setupCopied': 'Link to this setup copied.',
+  'link.groupCopied': 'Group link copied.',
+  'link.groupCreated': 'Group link copied. Share it with everyone sitting.',
+  'link.copyThis': 'Copy this link: {url}',
+  'link.planAdded': 'The shared schedule was added to your presets as “{name}”.',
+  'silent.offer': 'Sound seems to be blocked here. Show bells silently instead, with a glow and vibration?',
+  'silent.use': 'Use silent bells',
+  'silent.keep': 'Keep sound',
+
+  // Bell sounds
+  'bells.soundAria.start': 'Start bell sound',
+  'bells.soundAria.interval': 'Interval bell sound',
+  'bells.soundAria.end': 'End bell sound',
+  'bells.preview.start': 'Preview start bell',
+  'bells.preview.interval': 'Preview interval bell',
+  'bells.preview.end': 'Preview end bell',
+  'bells.volume': 'Volume',
+  'bells.volumeAria': 'Bell volume',
+  'bells.mode': 'Bells',
+  'bells.modeAria': 'How bells are given',
+  'bells.noVibration': 'This device cannot vibrate, so silent bells only glow on screen.',
+
+  // Soundscape mixer
+  'mixer.presetAria': 'Soundscape preset',
+  'mixer.custom': 'Custom mix',
+  'mixer.delete': 'Delete mix {name}',
+  'mixer.layerAria': '{layer} volume',
+  'mixer.name': 'Mix name',
+  'mixer.save': 'Save mix',
+  'mixer.defaultName': 'My mix',
+
+  // Schedule editor
+  'editor.aria': 'New bell schedule',
+  'editor.name': 'Preset name',
+  'editor.type': 'Schedule type',
+  'editor.custom': 'Custom bells',
+  'editor.pomodoro': 'Pomodoro',
+  'editor.bellsAt': 'Bells at',
+  'editor.offsetsAria': 'Bell minutes, comma separated',
+  'editor.thenEvery': 'min, then every',
+  'editor.repeatAria': 'Repeat every minutes',
+  'editor.min': 'min',
+  'editor.work': 'Work',
+  'editor.break': 'Break',
+  'editor.longBreak': 'Long break',
+  'editor.cycles': 'Cycles',
+  'editor.save': 'Save preset',
+
+  // Group sit
+  'group.summary': 'Group sit at {time}',
+  'group.summaryDate': 'Group sit on {date} at {time}',
+  'group.plan': 'bells {plan}',
+  'group.noBells': 'none',
+  'group.copy': 'Copy group link',
+  'group.leave': 'Leave group sit',
+  'group.formAria': 'Create a group sit',
+  'group.startsAt': 'Everyone starts at',
+  'group.create': 'Create group link',
+  'group.hint': 'Uses the bells and session length above. Bells follow the clock on every device.',
+  'group.pickTime': 'Pick a start time',
+  'group.startPassed': 'That start time has already passed',
+
+  // Breathing pacer
+  'pacer.patternAria': 'Breathing pattern',
+  'pacer.off': 'Pacer off',
+  'pacer.new': 'New pattern…',
+  'pacer.delete': 'Delete pattern {name}',
+  'pacer.seconds': '{pattern} s',
+  'pacer.cues': 'Soft tone at each phase',
+  'pacer.formAria': 'New breathing pattern',
+  'pacer.name': 'Pattern name',
+  'pacer.field.inhale': 'Inhale (s)',
+  'pacer.field.holdIn': 'Hold in (s)',
+  'pacer.field.exhale': 'Exhale (s)',
+  'pacer.field.holdOut': 'Hold out (s)',
+  'pacer.save': 'Save pattern',
+
+  // Guided scripts
+  'guide.scriptAria': 'Guided script',
+  'guide.none': 'No guidance',
+  'guide.new': 'New script…',
+  'guide.delete': 'Delete script {name}',
+  'guide.deliveryAria': 'Prompt delivery',
+  'guide.noSpeech': 'Speech is not available in this browser',
+  'guide.prompts': 'Prompts in {name}',
+  'guide.formAria': 'New guided script',
+  'guide.name': 'Script name',
+  'guide.textAria': 'Script prompts',
+  'guide.placeholder': '0:30 Settle your posture\n5:00 Return to the breath',
+  'guide.format': 'One prompt per line as “m:ss text”, or a JSON list of { "at", "text" }',
+  'guide.save': 'Save script',
+  'guide.defaultName': 'My script',
+
+  // History
+  'history.aria': 'Session history',
+  'history.title': 'History',
+  'history.close': 'Close history',
+  'history.totalMinutes': { one: 'total minute', other: 'total minutes' },
+  'history.sessions': { one: 'session', other: 'sessions' },
+  'history.avgMinutes': 'avg minutes',
+  'history.streak': 'day streak',
+  'history.longestStreak': 'longest streak',
+  'history.heatmapAria': { one: 'Minutes per day over the last week', other: 'Minutes per day over the last {count} weeks' },
+  'history.dayMinutes': '{day}: {count} min',
+  'history.exportJson': 'Export JSON',
+  'history.exportCsv': 'Export CSV',
+  'history.import': 'Import',
+  'history.clear': 'Clear',
+  'history.imported': { one: 'Imported {count} new session.', other: 'Imported {count} new sessions.' },
+  'history.importFailed': 'Import failed: {error}',
+  'history.confirmClear': 'Delete all saved sessions on this device?',
+  'history.cleared': 'History cleared.',
+  'history.minutes': '{count} min',
+  'history.bell': 'bell {count}',
+  'history.pauses': { one: '{count} pause', other: '{count} pauses' },
+  'history.empty': 'No sessions yet. Finished sits are saved on this device only.',
+
+  // Keyboard shortcuts
+  'shortcuts.title': 'Keyboard shortcuts',
+  'shortcuts.keySpace': 'Space',
+  'shortcuts.keyEsc': 'Esc',
+  'shortcuts.space': 'Start / pause / resume',
+  'shortcuts.reset': 'Reset (asks first)',
+  'shortcuts.mute': 'Mute / unmute soundscape',
+  'shortcuts.arrows': 'Change bell interval (before starting)',
+  'shortcuts.history': 'Session history',
+  'shortcuts.settings': 'Settings',
+  'shortcuts.help': 'Show / hide this help',
+  'shortcuts.close': 'Close dialogs',
+
+  // Settings
+  'settings.title': 'Settings',
+  'settings.language': 'Language',
+  'settings.languageAuto': 'Same as the browser',
+  'settings.theme': 'Theme',
+  'settings.accent': 'Accent color',
+  'settings.timerSize': 'Timer size',
+  'settings.hideClock': 'Hide the clock while sitting',
+  'settings.dim': 'Dim the screen while running',
+  'settings.dimStrength': 'Dim strength',
+  'settings.dimDelay': 'Dim after (seconds)',
+  'settings.restore': 'Restore defaults',
+
+  // Errors from parsers and forms
+  'error.scheduleEmpty': 'Schedule has no bells',
+  'error.patternInvalid': 'A pattern needs an inhale and an exhale (up to 60 s each)',
+  'error.scriptEmpty': 'Script is empty',
+  'error.scriptJson': 'Script is not valid JSON',
+  'error.scriptList': 'JSON script needs a list of prompts',
+  'error.scriptNoPrompts': 'Script has no prompts',
+  'error.lineTime': 'line {n}: "{at}" is not a time like 5:00',
+  'error.promptTime': 'prompt {n}: "{at}" is not a time like 5:00',
+  'error.lineText': 'line {n}: prompt text is missing',
+  'error.promptText': 'prompt {n}: prompt text is missing',
+  'error.importJson': 'No sessions found in JSON',
+  'error.importCsv': 'CSV needs startedAt and durationSec columns',
+};
@@ -0,0 +1,308 @@
+// Japanese (one plural category: other)
+export default {
+  'app.title': 'ZenSense 超ミニマルな集中タイマー',
+  'app.logoAlt': 'ZenSense のロゴ',
+  'app.tagline': '瞑想と作業のための、超ミニマルな集中タイマー。',
+  'footer.text': 'トラッキングもログインもなし。ただ静けさを。',
+  'footer.copyLink': 'リンクをコピー',
+  'footer.copyLinkTitle': 'この設定を開くリンクをコピー',
+  'footer.shortcutsTitle': 'キーボードショートカット',
+  'update.ready': '新しいバージョンの準備ができました。',
+  'update.reload': '再読み込み',
+  'update.afterSession': 'このセッションの後で利用できます',
+  'common.close': '閉じる',
+  'common.cancel': 'キャンセル',
+  'common.dismiss': '閉じる',
+  'common.untitled': '無題',
+
+  'duration.hours': { other: '{count}時間' },
+  'duration.minutes': { other: '{count}分' },
+  'duration.seconds': { other: '{count}秒' },
+
+  'circle.start': '開始',
+  'circle.pause': '一時停止',
+  'circle.resume': '再開',
+  'circle.done': '完了',
+  'circle.join': '参加',
+  'circle.leave': '退出',
+  'circle.reset': 'リセット',
+  'confirm.reset': 'このセッションをリセットしますか？',
+  'confirm.leaveGroup': 'このグループ瞑想から退出しますか？',
+  'top.mute': '環境音をミュート',
+  'top.unmute': '環境音のミュートを解除',
+  'top.muteTitle': 'ミュート',
+  'top.unmuteTitle': 'ミュート解除',
+  'top.settings': '設定を開く',
+  'top.settingsTitle': '設定',
+  'top.history': 'セッション履歴を開く',
+  'top.historyTitle': '履歴',
+
+  'setup.bells': 'ベル',
+  'setup.scheduleAria': 'ベルのスケジュール',
+  'setup.fixedInterval': '一定間隔',
+  'setup.newSchedule': '新しいスケジュール…',
+  'setup.groupPlan': 'グループの予定',
+  'setup.deletePreset': 'プリセット「{name}」を削除',
+  'setup.deletePresetTitle': 'プリセットを削除',
+  'setup.bellEvery': 'ベルの間隔',
+  'setup.intervalAria': 'ベルの間隔（分）',
+  'setup.intervalUnit': { other: '分ごと' },
+  'setup.session': 'セッション',
+  'setup.lengthAria': 'セッションの長さ',
+  'setup.open': '無制限',
+  'setup.lengthUnit': { other: '分' },
+  'setup.bellSound': 'ベルの音',
+  'setup.notify': 'タブが非表示のときはベルを通知する',
+  'setup.soundscape': '環境音',
+  'setup.groupSit': 'グループ瞑想',
+  'setup.breathing': '呼吸ガイド',
+  'setup.guidance': '誘導',
+
+  'timer.elapsedAria': '経過 {duration}',
+  'timer.remainingAria': '残り {duration}',
+  'timer.startsInAria': 'グループ瞑想の開始まで {duration}',
+  'timer.remaining': '残り',
+  'timer.complete': 'セッション完了',
+  'timer.untilGroup': 'グループ瞑想の開始まで',
+  'timer.otherTab': 'ベルは別の ZenSense タブで鳴ります',
+  'phase.settling': '落ち着く時間',
+  'phase.sitting': '坐禅中',
+  'phase.work': '作業',
+  'phase.break': '短い休憩',
+  'phase.longBreak': '長い休憩',
+  'phase.cycle': '{cycles}回中{cycle}回目',
+  'phase.left': '残り {time}',
+  'breath.inhale': '吸う',
+  'breath.holdIn': '止める',
+  'breath.exhale': '吐く',
+  'breath.holdOut': '止める',
+
+  'schedule.every': '{count}分ごと',
+  'schedule.at': '{list}分',
+  'schedule.thenEvery': 'その後{count}分ごと',
+  'schedule.pomodoro': '{work}/{shortBreak}、{cycles}回ごとに長い休憩{longBreak}',
+
+  'bell.interval': 'ベル',
+  'bell.work': '作業に戻る',
+  'bell.break': '短い休憩',
+  'bell.longBreak': '長い休憩',
+  'bell.end': 'セッション完了',
+  'notify.elapsed': '{time} 経過',
+  'media.elapsed': 'ZenSense — {time} 経過',
+  'media.startsIn': 'ZenSense — あと {time} で開始',
+  'media.complete': 'セッション完了',
+  'announce.started': 'セッションを開始しました。',
+  'announce.resumed': 'セッションを再開しました。',
+  'announce.paused': '{duration}で一時停止しました。',
+  'announce.bell': '{bell}（{duration}）。',
+  'announce.finished': '{duration}でセッションが完了しました。',
+  'announce.reset': 'セッションをリセットしました。',
+  'announce.joined': 'グループ瞑想に参加しました。開始まで{duration}です。',
+  'announce.joinedLate': '開始から{duration}後にグループ瞑想に参加しました。',
+  'announce.groupStarted': 'グループ瞑想が始まりました。',
+  'announce.soundOn': '環境音をオンにしました。',
+  'announce.soundMuted': '環境音をミュートしました。',
+  'announce.bellEvery': { other: 'ベルは{count}分ごとです。' },
+  'notice.finishedWhileClosed': 'ページを閉じている間にセッションが終了しました。',
+  'notice.resumedRunning': 'セッションを再開しました。ページを閉じている間も続いていました。',
+  'notice.restoredPaused': '一時停止中のセッションを復元しました。',
+  'link.inProgress': 'セッションが進行中のため、このリンクの設定は適用されませんでした。',
+  'link.invalid': 'リンクの一部の設定を認識できなかったため、既定値を使います：{params}。',
+  'link.groupEnded': 'このグループ瞑想はすでに終了しています。',
+  'link.setupCopied': 'この設定へのリンクをコピーしました。',
+  'link.groupCopied': 'グループのリンクをコピーしました。',
+  'link.groupCreated': 'グループのリンクをコピーしました。参加する全員に共有してください。',
+  'link.copyThis': 'このリンクをコピーしてください：{url}',
+  'link.planAdded': '共有されたスケジュールを「{name}」としてプリセットに追加しました。',
+  'silent.offer': '音声がブロックされているようです。代わりに光と振動で静かにベルを知らせますか？',
+  'silent.use': 'サイレントベルを使う',
+  'silent.keep': '音のままにする',
+
+  'bells.soundAria.start': '開始ベルの音',
+  'bells.soundAria.interval': '間隔ベルの音',
+  'bells.soundAria.end': '終了ベルの音',
+  'bells.preview.start': '開始ベルを試聴',
+  'bells.preview.interval': '間隔ベルを試聴',
+  'bells.preview.end': '終了ベルを試聴',
+  'bells.volume': '音量',
+  'bells.volumeAria': 'ベルの音量',
+  'bells.mode': 'ベル',
+  'bells.modeAria': 'ベルの知らせ方',
+  'bells.noVibration': 'この端末は振動できないため、サイレントベルは画面の光だけで知らせます。',
+
+  'mixer.presetAria': '環境音のプリセット',
+  'mixer.custom': 'カスタムミックス',
+  'mixer.delete': 'ミックス「{name}」を削除',
+  'mixer.layerAria': '{layer}の音量',
+  'mixer.name': 'ミックス名',
+  'mixer.save': 'ミックスを保存',
+  'mixer.defaultName': 'マイミックス',
+
+  'editor.aria': '新しいベルのスケジュール',
+  'editor.name': 'プリセット名',
+  'editor.type': 'スケジュールの種類',
+  'editor.custom': 'カスタムベル',
+  'editor.pomodoro': 'ポモドーロ',
+  'editor.bellsAt': 'ベルを鳴らす時刻',
+  'editor.offsetsAria': 'ベルを鳴らす分（カンマ区切り）',
+  'editor.thenEvery': '分、その後',
+  'editor.repeatAria': '繰り返しの間隔（分）',
+  'editor.min': '分ごと',
+  'editor.work': '作業',
+  'editor.break': '休憩',
+  'editor.longBreak': '長い休憩',
+  'editor.cycles': 'サイクル',
+  'editor.save': 'プリセットを保存',
+
+  'group.summary': 'グループ瞑想 {time}開始',
+  'group.summaryDate': 'グループ瞑想 {date} {time}開始',
+  'group.plan': 'ベル：{plan}',
+  'group.noBells': 'なし',
+  'group.copy': 'グループのリンクをコピー',
+  'group.leave': 'グループ瞑想から退出',
+  'group.formAria': 'グループ瞑想を作成',
+  'group.startsAt': '全員の開始時刻',
+  'group.create': 'グループのリンクを作成',
+  'group.hint': '上のベルとセッションの長さを使います。どの端末でもベルは時計に合わせて鳴ります。',
+  'group.pickTime': '開始時刻を選んでください',
+  'group.startPassed': 'その開始時刻はすでに過ぎています',
+
+  'pacer.patternAria': '呼吸パターン',
+  'pacer.off': '呼吸ガイドなし',
+  'pacer.new': '新しいパターン…',
+  'pacer.delete': 'パターン「{name}」を削除',
+  'pacer.seconds': '{pattern} 秒',
+  'pacer.cues': '各フェーズで小さな音を鳴らす',
+  'pacer.formAria': '新しい呼吸パターン',
+  'pacer.name': 'パターン名',
+  'pacer.field.inhale': '吸う（秒）',
+  'pacer.field.holdIn': '吸って止める（秒）',
+  'pacer.field.exhale': '吐く（秒）',
+  'pacer.field.holdOut': '吐いて止める（秒）',
+  'pacer.save': 'パターンを保存',
+
+  'guide.scriptAria': '誘導スクリプト',
+  'guide.none': '誘導なし',
+  'guide.new': '新しいスクリプト…',
+  'guide.delete': 'スクリプト「{name}」を削除',
+  'guide.deliveryAria': '案内の方法',
+  'guide.noSpeech': 'このブラウザでは音声読み上げを利用できません',
+  'guide.prompts': '「{name}」の案内',
+  'guide.formAria': '新しい誘導スクリプト',
+  'guide.name': 'スクリプト名',
+  'guide.textAria': 'スクリプトの案内',
+  'guide.placeholder': '0:30 姿勢を整えましょう\n5:00 呼吸に戻りましょう',
+  'guide.format': '1行に1つ「m:ss テキスト」の形式で、または { "at", "text" } の JSON リストで',
+  'guide.save': 'スクリプトを保存',
+  'guide.defaultName': 'マイスクリプト',
+
+  'history.aria': 'セッション履歴',
+  'history.title': '履歴',
+  'history.close': '履歴を閉じる',
+  'history.totalMinutes': { other: '合計（分）' },
+  'history.sessions': { other: 'セッション' },
+  'history.avgMinutes': '平均（分）',
+  'history.streak': '連続日数',
+  'history.longestStreak': '最長連続日数',
+  'history.heatmapAria': { other: '過去{count}週間の1日あたりの分数' },
+  'history.dayMinutes': '{day}：{count}分',
+  'history.exportJson': 'JSON で書き出す',
+  'history.exportCsv': 'CSV で書き出す',
+  'history.import': '読み込む',
+  'history.clear': '消去',
+  'history.imported': { other: '新しいセッションを{count}件読み込みました。' },
+  'history.importFailed': '読み込みに失敗しました：{error}',
+  'history.confirmClear': 'この端末に保存されたすべてのセッションを削除しますか？',
+  'history.cleared': '履歴を消去しました。',
+  'history.minutes': '{count}分',
+  'history.bell': 'ベル {count}分',
+  'history.pauses': { other: '一時停止 {count}回' },
+  'history.empty': 'まだセッションがありません。終了したセッションはこの端末にのみ保存されます。',
+
+  'shortcuts.title': 'キーボードショートカット',
+  'shortcuts.keySpace': 'スペース',
+  'shortcuts.keyEsc': 'Esc',
+  'shortcuts.space': '開始 / 一時停止 / 再開',
+  'shortcuts.reset': 'リセット（確認あり）',
+  'shortcuts.mute': '環境音のミュート / 解除',
+  'shortcuts.arrows': 'ベルの間隔を変更（開始前）',
+  'shortcuts.history': 'セッション履歴',
+  'shortcuts.settings': '設定',
+  'shortcuts.help': 'このヘルプの表示 / 非表示',
+  'shortcuts.close': 'ダイアログを閉じる',
+
+  'settings.title': '設定',
+  'settings.language': '言語',
+  'settings.languageAuto': 'ブラウザと同じ',
+  'settings.theme': 'テーマ',
+  'settings.accent': 'アクセントカラー',
+  'settings.timerSize': 'タイマーの大きさ',
+  'settings.hideClock': '瞑想中は時計を隠す',
+  'settings.dim': '実行中は画面を暗くする',
+  'settings.dimStrength': '暗さ',
+  'settings.dimDelay': '暗くするまで（秒）',
+  'settings.restore': '既定に戻す',
+
+  'error.scheduleEmpty': 'スケジュールにベルがありません',
+  'error.patternInvalid': 'パターンには吸う時間と吐く時間が必要です（それぞれ60秒まで）',
+  'error.scriptEmpty': 'スクリプトが空です',
+  'error.scriptJson': 'スクリプトが正しい JSON ではありません',
+  'error.scriptList': 'JSON スクリプトには案内のリストが必要です',
+  'error.scriptNoPrompts': 'スクリプトに案内がありません',
+  'error.lineTime': '{n}行目：「{at}」は 5:00 のような時刻ではありません',
+  'error.promptTime': '案内{n}：「{at}」は 5:00 のような時刻ではありません',
+  'error.lineText': '{n}行目：案内のテキストがありません',
+  'error.promptText': '案内{n}：案内のテキストがありません',
+  'error.importJson': 'JSON にセッションが見つかりません',
+  'error.importCsv': 'CSV には startedAt 列と durationSec 列が必要です',
+
+  // Built-in list entries
+  'preset.settle-15': '1分で落ち着き、その後15分ごと',
+  'preset.pomodoro-25': 'ポモドーロ 25/5',
+  'preset.pomodoro-50': 'ポモドーロ 50/10',
+  'bellSound.bell': '寺の鐘',
+  'bellSound.bowl': 'シンギングボウル',
+  'bellSound.gong': 'ゴング',
+  'bellSound.woodblock': '木魚',
+  'bellSound.chime': 'やわらかなチャイム',
+  'bellType.start': '開始',
+  'bellType.interval': '間隔',
+  'bellType.end': '終了',
+  'bellMode.audio': '音のみ',
+  'bellMode.visual': '光と振動のみ',
+  'bellMode.both': '音・光・振動',
+  'layer.white': 'ホワイトノイズ',
+  'layer.pink': 'ピンクノイズ',
+  'layer.brown': 'ブラウンノイズ',
+  'layer.rain': '雨',
+  'layer.drone': 'ドローン',
+  'mix.calm': '穏やか（ブラウン＋ドローン）',
+  'mix.rain': 'やさしい雨',
+  'mix.focus': '集中（ピンク）',
+  'mix.drone': '深いドローン',
+  'pattern.box': 'ボックス 4-4-4-4',
+  'pattern.478': '4-7-8 リラックス',
+  'pattern.coherent': 'コヒーレント 5.5/5.5',
+  'script.settle-10': '落ち着く（10分・英語）',
+  'script.body-scan-20': 'ボディスキャン（20分・英語）',
+  'script.breath-open': '呼吸のリマインダー（無制限・英語）',
+  'guidanceMode.voice': '音声',
+  'guidanceMode.caption': '字幕',
+  'guidanceMode.both': '音声＋字幕',
+  'theme.dark': 'ダーク',
+  'theme.oled': 'OLED ブラック',
+  'theme.light': 'ライト',
+  'theme.contrast': 'ハイコントラスト',
+  'accent.sky': 'スカイ',
+  'accent.violet': 'バイオレット',
+  'accent.amber': 'アンバー',
+  'accent.rose': 'ローズ',
+  'accent.jade': 'ジェイド',
+  'timerSize.small': '小',
+  'timerSize.medium': '中',
+  'timerSize.large': '大',
+  'timerSize.huge': '特大',
+  'dimMode.mobile': '小さな画面のみ',
+  'dimMode.always': '常に',
+  'dimMode.off': 'しない',
+};
@@ -0,0 +1,308 @@
+// Polish (plural categories: one, few, many, other)
+export default {
+  'app.title': 'ZenSense – ultraminimalistyczny minutnik skupienia',
+  'app.logoAlt': 'Logo ZenSense',
+  'app.tagline': 'Ultraminimalistyczny minutnik do medytacji i skupionej pracy.',
+  'footer.text': 'Bez śledzenia, bez logowania. Po prostu spokój.',
+  'footer.copyLink': 'Kopiuj link',
+  'footer.copyLinkTitle': 'Skopiuj link, który otwiera te ustawienia',
+  'footer.shortcutsTitle': 'Skróty klawiszowe',
+  'update.ready': 'Nowa wersja jest gotowa.',
+  'update.reload': 'Odśwież',
+  'update.afterSession': 'Dostępne po tej sesji',
+  'common.close': 'Zamknij',
+  'common.cancel': 'Anuluj',
+  'common.dismiss': 'Ukryj',
+  'common.untitled': 'Bez nazwy',
+
+  'duration.hours': { one: '{count} godzina', few: '{count} godziny', many: '{count} godzin', other: '{count} godziny' },
+  'duration.minutes': { one: '{count} minuta', few: '{count} minuty', many: '{count} minut', other: '{count} minuty' },
+  'duration.seconds': { one: '{count} sekunda', few: '{count} sekundy', many: '{count} sekund', other: '{count} sekundy' },
+
+  'circle.start': 'START',
+  'circle.pause': 'PAUZA',
+  'circle.resume': 'WZNÓW',
+  'circle.done': 'KONIEC',
+  'circle.join': 'DOŁĄCZ',
+  'circle.leave': 'WYJDŹ',
+  'circle.reset': 'RESETUJ',
+  'confirm.reset': 'Zresetować tę sesję?',
+  'confirm.leaveGroup': 'Opuścić wspólną medytację?',
+  'top.mute': 'Wycisz tło dźwiękowe',
+  'top.unmute': 'Włącz tło dźwiękowe',
+  'top.muteTitle': 'Wycisz',
+  'top.unmuteTitle': 'Włącz dźwięk',
+  'top.settings': 'Otwórz ustawienia',
+  'top.settingsTitle': 'Ustawienia',
+  'top.history': 'Otwórz historię sesji',
+  'top.historyTitle': 'Historia',
+
+  'setup.bells': 'Dzwonki',
+  'setup.scheduleAria': 'Plan dzwonków',
+  'setup.fixedInterval': 'Stały odstęp',
+  'setup.newSchedule': 'Nowy plan…',
+  'setup.groupPlan': 'Plan grupy',
+  'setup.deletePreset': 'Usuń szablon {name}',
+  'setup.deletePresetTitle': 'Usuń szablon',
+  'setup.bellEvery': 'Dzwonek co',
+  'setup.intervalAria': 'Odstęp między dzwonkami w minutach',
+  'setup.intervalUnit': { one: 'minutę', few: 'minuty', many: 'minut', other: 'minuty' },
+  'setup.session': 'Sesja',
+  'setup.lengthAria': 'Długość sesji',
+  'setup.open': 'otwarta',
+  'setup.lengthUnit': { one: 'minuta', few: 'minuty', many: 'minut', other: 'minuty' },
+  'setup.bellSound': 'Dźwięk dzwonka',
+  'setup.notify': 'Powiadamiaj o dzwonkach, gdy karta jest w tle',
+  'setup.soundscape': 'Tło dźwiękowe',
+  'setup.groupSit': 'Wspólna medytacja',
+  'setup.breathing': 'Rytm oddechu',
+  'setup.guidance': 'Prowadzenie',
+
+  'timer.elapsedAria': 'Upłynęło: {duration}',
+  'timer.remainingAria': 'Pozostało: {duration}',
+  'timer.startsInAria': 'Do rozpoczęcia wspólnej medytacji: {duration}',
+  'timer.remaining': 'pozostało',
+  'timer.complete': 'sesja zakończona',
+  'timer.untilGroup': 'do rozpoczęcia wspólnej medytacji',
+  'timer.otherTab': 'Dzwonki grają w innej karcie ZenSense',
+  'phase.settling': 'Wyciszenie',
+  'phase.sitting': 'Medytacja',
+  'phase.work': 'Praca',
+  'phase.break': 'Krótka przerwa',
+  'phase.longBreak': 'Długa przerwa',
+  'phase.cycle': '{cycle} z {cycles}',
+  'phase.left': 'zostało {time}',
+  'breath.inhale': 'Wdech',
+  'breath.holdIn': 'Zatrzymaj',
+  'breath.exhale': 'Wydech',
+  'breath.holdOut': 'Zatrzymaj',
+
+  'schedule.every': 'co {count} min',
+  'schedule.at': 'w {list} min',
+  'schedule.thenEvery': 'potem co {count}',
+  'schedule.pomodoro': '{work}/{shortBreak}, długa {longBreak} co {cycles}',
+
+  'bell.interval': 'Dzwonek',
+  'bell.work': 'Powrót do pracy',
+  'bell.break': 'Krótka przerwa',
+  'bell.longBreak': 'Długa przerwa',
+  'bell.end': 'Sesja zakończona',
+  'notify.elapsed': 'Upłynęło {time}',
+  'media.elapsed': 'ZenSense — upłynęło {time}',
+  'media.startsIn': 'ZenSense — start za {time}',
+  'media.complete': 'Sesja zakończona',
+  'announce.started': 'Sesja rozpoczęta.',
+  'announce.resumed': 'Sesja wznowiona.',
+  'announce.paused': 'Wstrzymano. Upłynęło: {duration}.',
+  'announce.bell': '{bell}. Upłynęło: {duration}.',
+  'announce.finished': 'Sesja zakończona. Czas: {duration}.',
+  'announce.reset': 'Sesja zresetowana.',
+  'announce.joined': 'Dołączono do wspólnej medytacji. Do rozpoczęcia: {duration}.',
+  'announce.joinedLate': 'Dołączono do trwającej wspólnej medytacji. Od startu: {duration}.',
+  'announce.groupStarted': 'Wspólna medytacja rozpoczęta.',
+  'announce.soundOn': 'Tło dźwiękowe włączone.',
+  'announce.soundMuted': 'Tło dźwiękowe wyciszone.',
+  'announce.bellEvery': { one: 'Dzwonek co minutę.', few: 'Dzwonek co {count} minuty.', many: 'Dzwonek co {count} minut.', other: 'Dzwonek co {count} minuty.' },
+  'notice.finishedWhileClosed': 'Sesja zakończyła się, gdy strona była zamknięta.',
+  'notice.resumedRunning': 'Sesja wznowiona. Trwała dalej, gdy strona była zamknięta.',
+  'notice.restoredPaused': 'Przywrócono wstrzymaną sesję.',
+  'link.inProgress': 'Trwa sesja, więc ustawienia z tego linku nie zostały zastosowane.',
+  'link.invalid': 'Części ustawień z linku nie rozpoznano, użyto domyślnych: {params}.',
+  'link.groupEnded': 'Ta wspólna medytacja już się zakończyła.',
+  'link.setupCopied': 'Skopiowano link do tych ustawień.',
+  'link.groupCopied': 'Skopiowano link grupy.',
+  'link.groupCreated': 'Skopiowano link grupy. Udostępnij go wszystkim uczestnikom.',
+  'link.copyThis': 'Skopiuj ten link: {url}',
+  'link.planAdded': 'Udostępniony plan dodano do twoich szablonów jako „{name}”.',
+  'silent.offer': 'Dźwięk wydaje się tu zablokowany. Pokazywać dzwonki bezgłośnie, światłem i wibracją?',
+  'silent.use': 'Użyj cichych dzwonków',
+  'silent.keep': 'Zostaw dźwięk',
+
+  'bells.soundAria.start': 'Dźwięk dzwonka na start',
+  'bells.soundAria.interval': 'Dźwięk dzwonka w trakcie',
+  'bells.soundAria.end': 'Dźwięk dzwonka na koniec',
+  'bells.preview.start': 'Odsłuchaj dzwonek na start',
+  'bells.preview.interval': 'Odsłuchaj dzwonek w trakcie',
+  'bells.preview.end': 'Odsłuchaj dzwonek na koniec',
+  'bells.volume': 'Głośność',
+  'bells.volumeAria': 'Głośność dzwonka',
+  'bells.mode': 'Dzwonki',
+  'bells.modeAria': 'Sposób sygnalizowania dzwonków',
+  'bells.noVibration': 'To urządzenie nie wibruje, więc ciche dzwonki tylko rozświetlają ekran.',
+
+  'mixer.presetAria': 'Szablon tła dźwiękowego',
+  'mixer.custom': 'Własna mieszanka',
+  'mixer.delete': 'Usuń mieszankę {name}',
+  'mixer.layerAria': 'Głośność: {layer}',
+  'mixer.name': 'Nazwa mieszanki',
+  'mixer.save': 'Zapisz mieszankę',
+  'mixer.defaultName': 'Moja mieszanka',
+
+  'editor.aria': 'Nowy plan dzwonków',
+  'editor.name': 'Nazwa szablonu',
+  'editor.type': 'Rodzaj planu',
+  'editor.custom': 'Własne dzwonki',
+  'editor.pomodoro': 'Pomodoro',
+  'editor.bellsAt': 'Dzwonki w',
+  'editor.offsetsAria': 'Minuty dzwonków, oddzielone przecinkami',
+  'editor.thenEvery': 'min, potem co',
+  'editor.repeatAria': 'Powtarzaj co tyle minut',
+  'editor.min': 'min',
+  'editor.work': 'Praca',
+  'editor.break': 'Przerwa',
+  'editor.longBreak': 'Długa przerwa',
+  'editor.cycles': 'Cykle',
+  'editor.save': 'Zapisz szablon',
+
+  'group.summary': 'Wspólna medytacja o {time}',
+  'group.summaryDate': 'Wspólna medytacja {date} o {time}',
+  'group.plan': 'dzwonki {plan}',
+  'group.noBells': 'brak',
+  'group.copy': 'Kopiuj link grupy',
+  'group.leave': 'Opuść wspólną medytację',
+  'group.formAria': 'Utwórz wspólną medytację',
+  'group.startsAt': 'Wszyscy zaczynają o',
+  'group.create': 'Utwórz link grupy',
+  'group.hint': 'Używa dzwonków i długości sesji ustawionych powyżej. Na każdym urządzeniu dzwonki podążają za zegarem.',
+  'group.pickTime': 'Wybierz godzinę rozpoczęcia',
+  'group.startPassed': 'Ta godzina rozpoczęcia już minęła',
+
+  'pacer.patternAria': 'Wzorzec oddechu',
+  'pacer.off': 'Rytm oddechu wyłączony',
+  'pacer.new': 'Nowy wzorzec…',
+  'pacer.delete': 'Usuń wzorzec {name}',
+  'pacer.seconds': '{pattern} s',
+  'pacer.cues': 'Cichy ton na początku każdej fazy',
+  'pacer.formAria': 'Nowy wzorzec oddechu',
+  'pacer.name': 'Nazwa wzorca',
+  'pacer.field.inhale': 'Wdech (s)',
+  'pacer.field.holdIn': 'Zatrzymanie po wdechu (s)',
+  'pacer.field.exhale': 'Wydech (s)',
+  'pacer.field.holdOut': 'Zatrzymanie po wydechu (s)',
+  'pacer.save': 'Zapisz wzorzec',
+
+  'guide.scriptAria': 'Skrypt prowadzenia',
+  'guide.none': 'Bez prowadzenia',
+  'guide.new': 'Nowy skrypt…',
+  'guide.delete': 'Usuń skrypt {name}',
+  'guide.deliveryAria': 'Sposób podawania wskazówek',
+  'guide.noSpeech': 'Synteza mowy nie jest dostępna w tej przeglądarce',
+  'guide.prompts': 'Wskazówki w skrypcie {name}',
+  'guide.formAria': 'Nowy skrypt prowadzenia',
+  'guide.name': 'Nazwa skryptu',
+  'guide.textAria': 'Wskazówki skryptu',
+  'guide.placeholder': '0:30 Ustaw wygodnie postawę\n5:00 Wróć do oddechu',
+  'guide.format': 'Jedna wskazówka w wierszu jako „m:ss tekst” albo lista JSON z { "at", "text" }',
+  'guide.save': 'Zapisz skrypt',
+  'guide.defaultName': 'Mój skrypt',
+
+  'history.aria': 'Historia sesji',
+  'history.title': 'Historia',
+  'history.close': 'Zamknij historię',
+  'history.totalMinutes': { one: 'minuta łącznie', few: 'minuty łącznie', many: 'minut łącznie', other: 'minuty łącznie' },
+  'history.sessions': { one: 'sesja', few: 'sesje', many: 'sesji', other: 'sesji' },
+  'history.avgMinutes': 'śr. minut',
+  'history.streak': 'dni z rzędu',
+  'history.longestStreak': 'najdłuższa seria',
+  'history.heatmapAria': { one: 'Minuty dziennie w ostatnim tygodniu', other: 'Minuty dziennie w ostatnich {count} tygodniach' },
+  'history.dayMinutes': '{day}: {count} min',
+  'history.exportJson': 'Eksportuj JSON',
+  'history.exportCsv': 'Eksportuj CSV',
+  'history.import': 'Importuj',
+  'history.clear': 'Wyczyść',
+  'history.imported': { one: 'Zaimportowano {count} nową sesję.', few: 'Zaimportowano {count} nowe sesje.', many: 'Zaimportowano {count} nowych sesji.', other: 'Zaimportowano {count} nowych sesji.' },
+  'history.importFailed': 'Import nie powiódł się: {error}',
+  'history.confirmClear': 'Usunąć wszystkie sesje zapisane na tym urządzeniu?',
+  'history.cleared': 'Historia wyczyszczona.',
+  'history.minutes': '{count} min',
+  'history.bell': 'dzwonek {count}',
+  'history.pauses': { one: '{count} pauza', few: '{count} pauzy', many: '{count} pauz', other: '{count} pauzy' },
+  'history.empty': 'Brak sesji. Zakończone sesje są zapisywane tylko na tym urządzeniu.',
+
+  'shortcuts.title': 'Skróty klawiszowe',
+  'shortcuts.keySpace': 'Spacja',
+  'shortcuts.keyEsc': 'Esc',
+  'shortcuts.space': 'Start / pauza / wznowienie',
+  'shortcuts.reset': 'Reset (z potwierdzeniem)',
+  'shortcuts.mute': 'Wycisz / włącz tło dźwiękowe',
+  'shortcuts.arrows': 'Zmień odstęp dzwonków (przed startem)',
+  'shortcuts.history': 'Historia sesji',
+  'shortcuts.settings': 'Ustawienia',
+  'shortcuts.help': 'Pokaż / ukryj tę pomoc',
+  'shortcuts.close': 'Zamknij okna',
+
+  'settings.title': 'Ustawienia',
+  'settings.language': 'Język',
+  'settings.languageAuto': 'Jak w przeglądarce',
+  'settings.theme': 'Motyw',
+  'settings.accent': 'Kolor akcentu',
+  'settings.timerSize': 'Rozmiar zegara',
+  'settings.hideClock': 'Ukryj zegar podczas medytacji',
+  'settings.dim': 'Przyciemniaj ekran podczas sesji',
+  'settings.dimStrength': 'Siła przyciemnienia',
+  'settings.dimDelay': 'Przyciemnij po (sekundach)',
+  'settings.restore': 'Przywróć domyślne',
+
+  'error.scheduleEmpty': 'Plan nie zawiera dzwonków',
+  'error.patternInvalid': 'Wzorzec wymaga wdechu i wydechu (do 60 s każdy)',
+  'error.scriptEmpty': 'Skrypt jest pusty',
+  'error.scriptJson': 'Skrypt nie jest poprawnym JSON-em',
+  'error.scriptList': 'Skrypt JSON wymaga listy wskazówek',
+  'error.scriptNoPrompts': 'Skrypt nie zawiera wskazówek',
+  'error.lineTime': 'wiersz {n}: „{at}” to nie czas w formacie 5:00',
+  'error.promptTime': 'wskazówka {n}: „{at}” to nie czas w formacie 5:00',
+  'error.lineText': 'wiersz {n}: brak tekstu wskazówki',
+  'error.promptText': 'wskazówka {n}: brak tekstu wskazówki',
+  'error.importJson': 'W pliku JSON nie znaleziono sesji',
+  'error.importCsv': 'Plik CSV wymaga kolumn startedAt i durationSec',
+
+  // Built-in list entries
+  'preset.settle-15': 'Wyciszenie 1, potem co 15',
+  'preset.pomodoro-25': 'Pomodoro 25/5',
+  'preset.pomodoro-50': 'Pomodoro 50/10',
+  'bellSound.bell': 'Dzwon świątynny',
+  'bellSound.bowl': 'Misa dźwiękowa',
+  'bellSound.gong': 'Gong',
+  'bellSound.woodblock': 'Drewniany klocek',
+  'bellSound.chime': 'Delikatny dzwoneczek',
+  'bellType.start': 'Start',
+  'bellType.interval': 'W trakcie',
+  'bellType.end': 'Koniec',
+  'bellMode.audio': 'Tylko dźwięk',
+  'bellMode.visual': 'Tylko światło i wibracja',
+  'bellMode.both': 'Dźwięk, światło i wibracja',
+  'layer.white': 'Szum biały',
+  'layer.pink': 'Szum różowy',
+  'layer.brown': 'Szum brązowy',
+  'layer.rain': 'Deszcz',
+  'layer.drone': 'Burdon',
+  'mix.calm': 'Spokój (brązowy + burdon)',
+  'mix.rain': 'Łagodny deszcz',
+  'mix.focus': 'Skupienie (różowy)',
+  'mix.drone': 'Głęboki burdon',
+  'pattern.box': 'Kwadratowy 4-4-4-4',
+  'pattern.478': '4-7-8 relaksujący',
+  'pattern.coherent': 'Spójny 5,5/5,5',
+  'script.settle-10': 'Wyciszenie (10 min, po angielsku)',
+  'script.body-scan-20': 'Skanowanie ciała (20 min, po angielsku)',
+  'script.breath-open': 'Przypomnienia o oddechu (otwarte, po angielsku)',
+  'guidanceMode.voice': 'Głosowo',
+  'guidanceMode.caption': 'Napisy',
+  'guidanceMode.both': 'Głos + napisy',
+  'theme.dark': 'Ciemny',
+  'theme.oled': 'Czarny OLED',
+  'theme.light': 'Jasny',
+  'theme.contrast': 'Wysoki kontrast',
+  'accent.sky': 'Błękit',
+  'accent.violet': 'Fiolet',
+  'accent.amber': 'Bursztyn',
+  'accent.rose': 'Róż',
+  'accent.jade': 'Jadeit',
+  'timerSize.small': 'Mały',
+  'timerSize.medium': 'Średni',
+  'timerSize.large': 'Duży',
+  'timerSize.huge': 'Ogromny',
+  'dimMode.mobile': 'Na małych ekranach',
+  'dimMode.always': 'Zawsze',
+  'dimMode.off': 'Nigdy',
+};
@@ -0,0 +1,39 @@
+// ---- Media Session: the session's time and play/pause/stop on the lock screen and in notifications ----
+// Browsers only show these while the page plays media (the soundscape <audio> or the iOS keep-awake video).
+export const mediaSessionSupported = () => typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+
+const ACTIONS = ['play', 'pause', 'stop'];
+
+// Register a handler per action (a missing one hides that control); returns a function that removes them all
+export function setMediaActions(handlers) {
+  if (!mediaSessionSupported()) return () => {};
+  const set = (action, fn) => { try { navigator.mediaSession.setActionHandler(action, fn || null); } catch { /* action not supported */ } };
+  ACTIONS.forEach(a => set(a, handlers[a]));
+  return () => ACTIONS.forEach(a => set(a, null));
+}
+
+// Open-ended sessions have no end, which the API spells as an infinite duration
+export function positionState(positionSecs, durationSecs) {
+  const duration = durationSecs > 0 ? durationSecs : Infinity;
+  return { duration, position: Math.min(Math.max(0, positionSecs), duration), playbackRate: 1 };
+}
+
+// state: { title, artist, artwork, playing, positionSecs, durationSecs (0 = open-ended) }, or null to clear
+export function updateMediaSession(state) {
+  if (!mediaSessionSupported()) return;
+  const ms = navigator.mediaSession;
+  const { title, artist = '', artwork = [], playing, positionSecs, durationSecs } = state || {};
+  try {
+    if (!state) {
+      ms.metadata = null; ms.playbackState = 'none';
+      if (ms.setPositionState) ms.setPositionState();
+      return;
+    }
+    // The title changes every second: update it in place rather than replacing the artwork each time
+    if (ms.metadata && ms.metadata.album === 'ZenSense') { ms.metadata.title = title; ms.metadata.artist = artist; }
+    else if (typeof MediaMetadata !== 'undefined') ms.metadata = new MediaMetadata({ title, artist, album: 'ZenSense', artwork });
+    ms.playbackState = playing ? 'playing' : 'paused';
+  } catch { /* ignore */ }
+  // Older implementations reject an infinite duration: leave the position out there
+  try { if (ms.setPositionState) ms.setPositionState(positionState(positionSecs, durationSecs)); } catch { /* ignore */ }
+}
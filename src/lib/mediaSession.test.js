@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { positionState, setMediaActions, updateMediaSession } from "./mediaSession.js";
+
+const fakeSession = () => ({ metadata: null, playbackState: 'none', setActionHandler: vi.fn(), setPositionState: vi.fn() });
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('positionState', () => {
+  it('uses the session length as the duration and clamps the position', () => {
+    expect(positionState(90, 600)).toEqual({ duration: 600, position: 90, playbackRate: 1 });
+    expect(positionState(700, 600).position).toBe(600);
+    expect(positionState(-5, 600).position).toBe(0);
+  });
+
+  it('treats an open-ended session as endless', () => {
+    expect(positionState(754, 0)).toEqual({ duration: Infinity, position: 754, playbackRate: 1 });
+  });
+});
+
+describe('setMediaActions', () => {
+  it('registers play, pause and stop, hiding missing ones, and removes them again', () => {
+    const ms = fakeSession();
+    vi.stubGlobal('navigator', { mediaSession: ms });
+    const play = () => {}, stop = () => {};
+    const off = setMediaActions({ play, stop });
+    expect(ms.setActionHandler.mock.calls).toEqual([['play', play], ['pause', null], ['stop', stop]]);
+    off();
+    expect(ms.setActionHandler.mock.calls.slice(3)).toEqual([['play', null], ['pause', null], ['stop', null]]);
+  });
+
+  it('is a no-op without the API', () => {
+    vi.stubGlobal('navigator', {});
+    expect(() => setMediaActions({ play: () => {} })()).not.toThrow();
+  });
+});
+
+describe('updateMediaSession', () => {
+  it('sets metadata once, then updates its title in place', () => {
+    const ms = fakeSession();
+    vi.stubGlobal('navigator', { mediaSession: ms });
+    vi.stubGlobal('MediaMetadata', class { constructor(init) { Object.assign(this, init); } });
+    const artwork = [{ src: '/enso.svg', sizes: 'any', type: 'image/svg+xml' }];
+    updateMediaSession({ title: 'ZenSense — 00:05 elapsed', artwork, playing: true, positionSecs: 5, durationSecs: 0 });
+    const first = ms.metadata;
+    updateMediaSession({ title: 'ZenSense — 00:06 elapsed', artwork, playing: false, positionSecs: 6, durationSecs: 0 });
+    expect(ms.metadata).toBe(first);
+    expect(ms.metadata).toMatchObject({ title: 'ZenSense — 00:06 elapsed', album: 'ZenSense', artwork });
+    expect(ms.playbackState).toBe('paused');
+    expect(ms.setPositionState).toHaveBeenLastCalledWith({ duration: Infinity, position: 6, playbackRate: 1 });
+  });
+
+  it('clears everything when the session is over', () => {
+    const ms = { ...fakeSession(), metadata: { album: 'ZenSense' }, playbackState: 'playing' };
+    vi.stubGlobal('navigator', { mediaSession: ms });
+    updateMediaSession(null);
+    expect(ms.metadata).toBe(null);
+    expect(ms.playbackState).toBe('none');
+    expect(ms.setPositionState).toHaveBeenCalledWith();
+  });
+});
@@ -0,0 +1,38 @@
+// ---- Named user items in localStorage: schedule presets, mixes, guidance scripts, breathing patterns ----
+// Only the user's own entries are stored; the built-in ones (flagged `builtin`) always come first.
+// fields: what each entry keeps besides id and name. revive(stored) rebuilds those fields from storage
+// and returns null for an entry that no longer makes sense, which is then dropped.
+export function createNamedStore(key, builtin, fields, revive) {
+  // untitled: the (localized) name shown for a stored entry without one
+  const load = (untitled) => {
+    try {
+      const list = JSON.parse(localStorage.getItem(key) || '[]');
+      const user = (Array.isArray(list) ? list : []).map(item => {
+        const rest = item && item.id ? revive(item) : null;
+        return rest && { id: String(item.id), name: String(item.name || untitled), ...rest };
+      }).filter(Boolean);
+      return [...builtin, ...user];
+    } catch { return [...builtin]; }
+  };
+
+  const write = (items) => {
+    const user = items.filter(i => !i.builtin).map(i => Object.fromEntries(['id', 'name', ...fields].map(f => [f, i[f]])));
+    try { localStorage.setItem(key, JSON.stringify(user)); } catch { /* ignore */ }
+  };
+
+  // Appends a new user entry; a blank name falls back to defaultName
+  const add = (items, name, values, defaultName) => {
+    const item = { id: `user-${Date.now().toString(36)}`, name: String(name || '').trim() || defaultName, ...values };
+    const next = [...items, item];
+    write(next);
+    return { items: next, item };
+  };
+
+  const remove = (items, id) => {
+    const next = items.filter(i => i.builtin || i.id !== id);
+    write(next);
+    return next;
+  };
+
+  return { load, add, remove };
+}
@@ -0,0 +1,46 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createNamedStore } from "./namedStore.js";
+
+const KEY = 'zensense.test.v1';
+const BUILTIN = [{ id: 'calm', name: 'Calm', builtin: true, level: 1 }];
+const store = createNamedStore(KEY, BUILTIN, ['level'], item => (Number(item.level) > 0 ? { level: Number(item.level) } : null));
+
+let storage;
+beforeEach(() => {
+  storage = new Map();
+  vi.stubGlobal('localStorage', {
+    getItem: k => (storage.has(k) ? storage.get(k) : null),
+    setItem: (k, v) => storage.set(k, String(v)),
+    removeItem: k => storage.delete(k),
+  });
+});
+afterEach(() => vi.unstubAllGlobals());
+
+describe('createNamedStore', () => {
+  it('keeps only user entries in storage, with the built-in ones listed first', () => {
+    const { item } = store.add(store.load(), '  Deep  ', { level: 3 }, 'Unnamed');
+    expect(item).toMatchObject({ name: 'Deep', level: 3 });
+    expect(item.id).toMatch(/^user-/);
+    expect(JSON.parse(storage.get(KEY))).toEqual([{ id: item.id, name: 'Deep', level: 3 }]);
+    expect(store.load()).toEqual([...BUILTIN, { id: item.id, name: 'Deep', level: 3 }]);
+  });
+
+  it('names blank entries with the caller\'s default', () => {
+    expect(store.add(store.load(), ' ', { level: 2 }, 'Unnamed').item.name).toBe('Unnamed');
+    storage.set(KEY, JSON.stringify([{ id: 'user-a', level: 2 }]));
+    expect(store.load('Ohne Namen')[1].name).toBe('Ohne Namen');
+  });
+
+  it('drops stored entries it cannot revive, and survives garbage', () => {
+    storage.set(KEY, JSON.stringify([{ id: 'user-a', name: 'A', level: 2 }, { id: 'user-b', level: 0 }, { name: 'no id', level: 2 }, null]));
+    expect(store.load().map(i => i.id)).toEqual(['calm', 'user-a']);
+    storage.set(KEY, '{oops');
+    expect(store.load()).toEqual(BUILTIN);
+  });
+
+  it('deletes user entries but never the built-in ones', () => {
+    const { items, item } = store.add(store.load(), 'Deep', { level: 3 }, 'Unnamed');
+    expect(store.remove(store.remove(items, item.id), 'calm')).toEqual(BUILTIN);
+    expect(JSON.parse(storage.get(KEY))).toEqual([]);
+  });
+});
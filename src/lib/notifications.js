@@ -0,0 +1,19 @@
+// ---- Opt-in system notifications for bells (for hidden tabs or blocked audio) ----
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+export async function requestNotifications() {
+  if (!notificationsSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  try { return await Notification.requestPermission(); } catch { return Notification.permission; }
+}
+
+// Android Chrome only allows notifications through a service worker registration
+export async function showNotification(title, body, tag = 'zensense-bell') {
+  if (!notificationsSupported() || Notification.permission !== 'granted') return;
+  const options = { body, tag, renotify: true, silent: false, icon: 'enso.svg' };
+  try {
+    const reg = navigator.serviceWorker && await navigator.serviceWorker.getRegistration();
+    if (reg && reg.showNotification) { await reg.showNotification(title, options); return; }
+  } catch { /* fall through */ }
+  try { new Notification(title, options); } catch { /* ignore */ }
+}
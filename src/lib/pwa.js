@@ -0,0 +1,34 @@
+// ---- Service worker registration (production builds only) ----
+// The worker is registered under the same base path the app detects at runtime,
+// so '/zensense/' deployments get their own scope.
+export function registerServiceWorker(basePath, onUpdateReady) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return () => {};
+  let cancelled = false;
+
+  const watch = (reg) => {
+    // A worker is already waiting from an earlier visit
+    if (reg.waiting && navigator.serviceWorker.controller) onUpdateReady(reg.waiting);
+    reg.addEventListener('updatefound', () => {
+      const sw = reg.installing; if (!sw) return;
+      sw.addEventListener('statechange', () => {
+        // Only an update if another worker already controls the page (not the first install)
+        if (sw.state === 'installed' && navigator.serviceWorker.controller && !cancelled) onUpdateReady(sw);
+      });
+    });
+  };
+
+  navigator.serviceWorker.register(`${basePath}sw.js`, { scope: basePath })
+    .then(reg => { if (!cancelled) watch(reg); })
+    .catch(() => { /* offline support is best effort */ });
+
+  return () => { cancelled = true; };
+}
+
+// Let the waiting worker take over, then reload once it controls the page
+export function applyUpdate(worker) {
+  let reloaded = false;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!reloaded) { reloaded = true; window.location.reload(); }
+  });
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,133 @@
+// ---- Bell schedules: fixed interval, custom offsets + repeat, or Pomodoro phases ----
+import { defaultI18n, localError } from "./i18n.js";
+import { createNamedStore } from "./namedStore.js";
+
+const MIN = 60000;
+
+export const BUILTIN_PRESETS = [
+  { id: 'settle-15', name: 'Settle 1, then every 15', builtin: true, schedule: { type: 'custom', offsets: [1], repeat: 15 } },
+  { id: 'pomodoro-25', name: 'Pomodoro 25/5', builtin: true, schedule: { type: 'pomodoro', work: 25, shortBreak: 5, longBreak: 15, cycles: 4 } },
+  { id: 'pomodoro-50', name: 'Pomodoro 50/10', builtin: true, schedule: { type: 'pomodoro', work: 50, shortBreak: 10, longBreak: 20, cycles: 4 } },
+];
+
+// Validate/clean a schedule object; returns null if unusable
+export function normalizeSchedule(s) {
+  if (!s || typeof s !== 'object') return null;
+  const pos = (v) => { const n = Number(v); return n > 0 && n <= 600 ? n : 0; };
+  if (s.type === 'interval') return pos(s.every) ? { type: 'interval', every: pos(s.every) } : null;
+  if (s.type === 'custom') {
+    const offsets = (Array.isArray(s.offsets) ? s.offsets : []).map(pos).filter(Boolean).sort((a, b) => a - b);
+    const repeat = pos(s.repeat);
+    return offsets.length || repeat ? { type: 'custom', offsets, repeat } : null;
+  }
+  if (s.type === 'pomodoro') {
+    const work = pos(s.work), shortBreak = pos(s.shortBreak), longBreak = pos(s.longBreak) || shortBreak;
+    const cycles = Math.max(1, Math.min(12, Math.round(Number(s.cycles) || 4)));
+    return work && shortBreak ? { type: 'pomodoro', work, shortBreak, longBreak, cycles } : null;
+  }
+  return null;
+}
+
+// One Pomodoro round: work/break pairs, the last break being the long one
+function pomodoroRound(s) {
+  const phases = [];
+  for (let c = 1; c <= s.cycles; c++) {
+    phases.push({ kind: 'work', ms: s.work * MIN, cycle: c });
+    phases.push(c === s.cycles ? { kind: 'longBreak', ms: s.longBreak * MIN, cycle: c } : { kind: 'break', ms: s.shortBreak * MIN, cycle: c });
+  }
+  let t = 0;
+  phases.forEach(p => { p.startMs = t; t += p.ms; });
+  return { phases, roundMs: t };
+}
+
+// The n-th bell after the start (n >= 1): { atMs, kind } or null when the schedule has no more bells
+export function bellAt(schedule, n) {
+  if (!schedule || n < 1) return null;
+  if (schedule.type === 'interval') return { atMs: n * schedule.every * MIN, kind: 'interval' };
+  if (schedule.type === 'custom') {
+    const { offsets, repeat } = schedule;
+    if (n <= offsets.length) return { atMs: offsets[n - 1] * MIN, kind: 'interval' };
+    if (!repeat) return null;
+    const last = offsets.length ? offsets[offsets.length - 1] : 0;
+    return { atMs: (last + (n - offsets.length) * repeat) * MIN, kind: 'interval' };
+  }
+  if (schedule.type === 'pomodoro') {
+    // Bell n announces the start of phase n (phase 0 is opened by the start bell)
+    const { phases, roundMs } = pomodoroRound(schedule);
+    const round = Math.floor(n / phases.length), p = phases[n % phases.length];
+    return { atMs: round * roundMs + p.startMs, kind: p.kind };
+  }
+  return null;
+}
+
+// Current phase for display: { label, detail, remainingMs } or null for schedules without phases.
+// `t` translates the label and detail (see lib/i18n.js); English by default.
+export function phaseAt(schedule, elapsedMs, t = defaultI18n.t) {
+  if (!schedule) return null;
+  if (schedule.type === 'custom' && schedule.offsets.length) {
+    return elapsedMs < schedule.offsets[0] * MIN
+      ? { label: t('phase.settling'), detail: '', remainingMs: schedule.offsets[0] * MIN - elapsedMs }
+      : { label: t('phase.sitting'), detail: '', remainingMs: null };
+  }
+  if (schedule.type === 'pomodoro') {
+    const { phases, roundMs } = pomodoroRound(schedule);
+    const inRound = elapsedMs % roundMs;
+    const p = phases.find(ph => inRound < ph.startMs + ph.ms) || phases[phases.length - 1];
+    return { label: t(`phase.${p.kind}`), detail: t('phase.cycle', { cycle: p.cycle, cycles: schedule.cycles }), remainingMs: p.startMs + p.ms - inRound };
+  }
+  return null;
+}
+
+export function describeSchedule(schedule, t = defaultI18n.t) {
+  if (!schedule) return '';
+  if (schedule.type === 'interval') return t('schedule.every', { count: schedule.every });
+  if (schedule.type === 'custom') {
+    const parts = schedule.offsets.length ? [t('schedule.at', { list: schedule.offsets.join(', ') })] : [];
+    if (schedule.repeat) parts.push(t('schedule.thenEvery', { count: schedule.repeat }));
+    return parts.join(', ');
+  }
+  if (schedule.type === 'pomodoro') return t('schedule.pomodoro', schedule);
+  return '';
+}
+
+// Compact text form for links, so a schedule travels without its preset:
+//   interval:15   custom:1,6/15 (bells at 1 and 6 min, then every 15)   pomodoro:25,5,15,4
+export function encodeSchedule(schedule) {
+  if (!schedule) return '';
+  if (schedule.type === 'interval') return `interval:${schedule.every}`;
+  if (schedule.type === 'custom') return `custom:${schedule.offsets.join(',')}${schedule.repeat ? `/${schedule.repeat}` : ''}`;
+  if (schedule.type === 'pomodoro') return `pomodoro:${[schedule.work, schedule.shortBreak, schedule.longBreak, schedule.cycles].join(',')}`;
+  return '';
+}
+
+export function decodeSchedule(text) {
+  const [type, body = ''] = String(text || '').split(':');
+  const nums = (t) => t ? t.split(',').map(Number) : [];
+  if (type === 'interval') return normalizeSchedule({ type, every: Number(body) });
+  if (type === 'custom') {
+    const [offsets, repeat] = body.split('/');
+    return normalizeSchedule({ type, offsets: nums(offsets), repeat: Number(repeat) || 0 });
+  }
+  if (type === 'pomodoro') {
+    const [work, shortBreak, longBreak, cycles] = nums(body);
+    return normalizeSchedule({ type, work, shortBreak, longBreak, cycles });
+  }
+  return null;
+}
+
+// ---- User presets (localStorage) ----
+const store = createNamedStore('zensense.schedules.v1', BUILTIN_PRESETS, ['schedule'], p => {
+  const schedule = normalizeSchedule(p.schedule);
+  return schedule && { schedule };
+});
+
+export const loadPresets = (t = defaultI18n.t) => store.load(t('common.untitled'));
+
+export function savePreset(presets, name, schedule, t = defaultI18n.t) {
+  const clean = normalizeSchedule(schedule);
+  if (!clean) throw localError('error.scheduleEmpty');
+  const { items, item } = store.add(presets, name, { schedule: clean }, describeSchedule(clean, t));
+  return { presets: items, preset: item };
+}
+
+export const deletePreset = store.remove;
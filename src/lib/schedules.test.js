@@ -0,0 +1,71 @@
+import { describe, it, expect } from "vitest";
+import { bellAt, phaseAt, describeSchedule, encodeSchedule, decodeSchedule, normalizeSchedule, BUILTIN_PRESETS } from "./schedules.js";
+
+const MIN = 60000;
+const pomodoro = BUILTIN_PRESETS.find(p => p.id === 'pomodoro-25').schedule; // 25/5, long 15 after 4 cycles
+const atMin = (schedule, n) => { const b = bellAt(schedule, n); return b && [b.atMs / MIN, b.kind]; };
+
+describe('bellAt', () => {
+  it('rings a fixed interval forever', () => {
+    expect([1, 2, 3].map(n => atMin({ type: 'interval', every: 10 }, n))).toEqual([[10, 'interval'], [20, 'interval'], [30, 'interval']]);
+    expect(bellAt({ type: 'interval', every: 10 }, 0)).toBeNull();
+    expect(bellAt(null, 1)).toBeNull();
+  });
+
+  it('rings custom offsets, then repeats from the last one', () => {
+    const s = { type: 'custom', offsets: [1, 6], repeat: 15 };
+    expect([1, 2, 3, 4].map(n => atMin(s, n))).toEqual([[1, 'interval'], [6, 'interval'], [21, 'interval'], [36, 'interval']]);
+    expect(atMin({ type: 'custom', offsets: [], repeat: 20 }, 2)).toEqual([40, 'interval']);
+    expect(bellAt({ type: 'custom', offsets: [3], repeat: 0 }, 2)).toBeNull();
+  });
+
+  it('announces each Pomodoro phase, with a long break closing the round', () => {
+    expect([1, 2, 3, 6, 7].map(n => atMin(pomodoro, n))).toEqual([[25, 'break'], [30, 'work'], [55, 'break'], [90, 'work'], [115, 'longBreak']]);
+  });
+
+  it('wraps into the next Pomodoro round', () => {
+    // One round: 4 × 25 work + 3 × 5 short + 15 long = 130 min
+    expect(atMin(pomodoro, 8)).toEqual([130, 'work']);
+    expect(atMin(pomodoro, 9)).toEqual([155, 'break']);
+    expect(atMin(pomodoro, 15)).toEqual([245, 'longBreak']);
+  });
+});
+
+describe('phaseAt', () => {
+  it('has no phases for a fixed interval', () => {
+    expect(phaseAt({ type: 'interval', every: 10 }, 5 * MIN)).toBeNull();
+  });
+
+  it('settles in until the first custom bell', () => {
+    const s = { type: 'custom', offsets: [1], repeat: 15 };
+    expect(phaseAt(s, 30000)).toEqual({ label: 'Settling in', detail: '', remainingMs: 30000 });
+    expect(phaseAt(s, 2 * MIN)).toEqual({ label: 'Sitting', detail: '', remainingMs: null });
+  });
+
+  it('follows the Pomodoro phases across rounds', () => {
+    expect(phaseAt(pomodoro, 0)).toEqual({ label: 'Work', detail: '1 of 4', remainingMs: 25 * MIN });
+    expect(phaseAt(pomodoro, 27 * MIN)).toEqual({ label: 'Short break', detail: '1 of 4', remainingMs: 3 * MIN });
+    expect(phaseAt(pomodoro, 120 * MIN)).toEqual({ label: 'Long break', detail: '4 of 4', remainingMs: 10 * MIN });
+    expect(phaseAt(pomodoro, 131 * MIN)).toEqual({ label: 'Work', detail: '1 of 4', remainingMs: 24 * MIN });
+  });
+});
+
+describe('schedule text', () => {
+  it('round-trips every schedule type through the link form', () => {
+    [{ type: 'interval', every: 15 }, { type: 'custom', offsets: [1, 6], repeat: 15 }, { type: 'custom', offsets: [3, 8], repeat: 0 }, pomodoro]
+      .forEach(s => expect(decodeSchedule(encodeSchedule(s))).toEqual(s));
+    expect(encodeSchedule(pomodoro)).toBe('pomodoro:25,5,15,4');
+  });
+
+  it('cleans up what it decodes and rejects the rest', () => {
+    expect(decodeSchedule('custom:6,1/15')).toEqual({ type: 'custom', offsets: [1, 6], repeat: 15 });
+    expect(decodeSchedule('pomodoro:25,5,0,4')).toEqual({ type: 'pomodoro', work: 25, shortBreak: 5, longBreak: 5, cycles: 4 });
+    ['', 'weekly:3', 'interval:0', 'interval:abc', 'custom:', 'pomodoro:0,5'].forEach(text => expect(decodeSchedule(text), text).toBeNull());
+    expect(normalizeSchedule({ type: 'pomodoro', work: 25, shortBreak: 5, cycles: 99 }).cycles).toBe(12);
+  });
+
+  it('describes schedules in words', () => {
+    expect(describeSchedule({ type: 'custom', offsets: [1, 6], repeat: 15 })).toBe('at 1, 6 min, then every 15');
+    expect(describeSchedule(pomodoro)).toBe('25/5, long 15 every 4');
+  });
+});
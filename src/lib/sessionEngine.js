@@ -0,0 +1,243 @@
+// ---- Headless session engine: pause-aware timing and bell scheduling, no DOM or React ----
+// Time is wall-clock anchored: while running, elapsed = offsetMs + (now - anchorMs); pausing folds
+// the running span into offsetMs. Bells come from a schedule (lib/schedules.js) and are counted,
+// so a late tick (throttled or hidden tab) catches up and rings only the latest due bell.
+// Cues (e.g. guided prompts) are sorted { atMs, ... } entries emitted as 'cue' events on the same
+// elapsed time, so pausing delays them too; after a gap only the latest due cue is emitted.
+// Group sits join a shared absolute start time instead: the engine waits for it, then anchors on it,
+// so elapsed time and bells come straight from the wall clock (and cannot be paused).
+import { bellAt } from "./schedules.js";
+
+export const systemClock = {
+  now: () => Date.now(),
+  // Returns a stop function; the app swaps in a Web Worker ticker (lib/clock.js)
+  startTicker: (fn, ms) => { const id = setInterval(fn, ms); return () => clearInterval(id); },
+};
+
+// Audio sink contract (all optional except ring):
+//   ring(kind, info)               play a bell now ('start', 'end' or a schedule kind)
+//   queue(key, kind, delayMs)      schedule a bell ahead of time; truthy if it was queued
+//   consume(key)                   true if the queued bell `key` has already rung
+//   cancel()                       drop anything queued
+const silentSink = { ring: () => {} };
+
+export function createSessionEngine({
+  clock = systemClock,
+  audio = silentSink,
+  schedule = null,
+  sessionLength = 0,       // minutes, 0 = open-ended
+  cues = [],
+  tickMs = 250,
+  lookaheadMs = 60000,
+  startGraceMs = 5000,     // joining a group sit later than this skips its start bell
+} = {}) {
+  let config = { schedule, sessionLength, cues };
+  let status = 'idle';     // idle | waiting (group sit not started yet) | running | paused | finished
+  let anchorMs = null, offsetMs = 0, lastBellCount = 0, pauses = 0, startedAt = null;
+  let cueCount = 0;         // cues already emitted (or passed)
+  let groupStartMs = null;  // absolute start of a group sit
+  let lateMs = 0;           // how long after that start this sitter joined (not sat, so not in history)
+  let queuedKey = null;
+  let stopTicker = null;
+  let snapshot = null;
+  const listeners = new Set();
+  const handlers = new Map();
+
+  const lengthMs = () => config.sessionLength * 60000;
+  const cueList = () => config.cues || [];
+  const cuesBefore = (ms) => cueList().filter(c => c.atMs <= ms).length;
+  const elapsedMs = () => offsetMs + (anchorMs != null ? Math.max(0, clock.now() - anchorMs) : 0);
+
+  const buildSnapshot = (ms = elapsedMs()) => ({
+    status,
+    running: status === 'running',
+    hasStarted: status !== 'idle',
+    finished: status === 'finished',
+    elapsedMs: ms,
+    elapsedSecs: Math.max(0, Math.floor(ms / 1000)),
+    remainingSecs: lengthMs() > 0 ? Math.max(0, Math.ceil((lengthMs() - ms) / 1000)) : null,
+    waiting: status === 'waiting',
+    group: groupStartMs != null,
+    startsInSecs: status === 'waiting' ? Math.max(0, Math.ceil((groupStartMs - clock.now()) / 1000)) : 0,
+    lastBellCount,
+    pauses,
+    startedAt,
+    lateMs,
+  });
+  const changed = (ms) => { snapshot = buildSnapshot(ms); listeners.forEach(fn => fn()); };
+  const emit = (type, detail = {}) => {
+    (handlers.get(type) || []).forEach(fn => fn({ type, ...detail }));
+    (handlers.get('*') || []).forEach(fn => fn({ type, ...detail }));
+  };
+
+  const cancelQueued = () => { if (queuedKey != null) { try { audio.cancel && audio.cancel(); } catch { /* ignore */ } } queuedKey = null; };
+  // Ring `key` unless the sink already played it from its queue
+  const sound = (key, kind, info) => {
+    let played = false;
+    if (queuedKey === key) { try { played = !!(audio.consume && audio.consume(key)); } catch { played = false; } }
+    else cancelQueued();
+    queuedKey = null;
+    if (!played) { try { audio.ring(kind, info); } catch { /* ignore */ } }
+  };
+
+  const startTicking = () => { if (!stopTicker) stopTicker = clock.startTicker(tick, tickMs); };
+  const stopTicking = () => { if (stopTicker) { stopTicker(); stopTicker = null; } };
+
+  function finish() {
+    const end = lengthMs();
+    offsetMs = end; anchorMs = null; status = 'finished';
+    stopTicking();
+    sound('end', 'end', { atMs: end });
+    changed(end);
+    emit('finish', { atMs: end, snapshot });
+  }
+
+  // Group sit: anchor on the shared start; bells that passed before joining count as rung
+  function beginGroup() {
+    const now = clock.now();
+    anchorMs = groupStartMs; offsetMs = 0; status = 'running';
+    const ms = elapsedMs(), late = now - groupStartMs;
+    lateMs = Math.max(0, late);
+    lastBellCount = 0; cueCount = cuesBefore(ms);
+    let next;
+    while ((next = bellAt(config.schedule, lastBellCount + 1)) && next.atMs <= ms) lastBellCount++;
+    if (late <= startGraceMs) { try { audio.ring('start', { index: 0, atMs: 0 }); } catch { /* ignore */ } cueCount = 0; }
+    changed(ms);
+    emit('start', { snapshot, group: true, lateMs });
+  }
+
+  function tick() {
+    if (status === 'waiting') {
+      if (clock.now() >= groupStartMs) beginGroup();
+      else if (buildSnapshot(0).startsInSecs !== snapshot.startsInSecs) changed(0);
+      if (status === 'waiting') return;
+    }
+    if (status !== 'running') return;
+    const ms = elapsedMs();
+    const end = lengthMs();
+
+    // Countdown reached its end: freeze at the session length, ring the closing bell and stop
+    if (end > 0 && ms >= end) { finish(); return; }
+
+    // Catch up on every bell that is due but ring only the latest one
+    let count = lastBellCount, due = null, next;
+    while ((next = bellAt(config.schedule, count + 1)) && next.atMs <= ms) { due = next; count++; }
+    if (due) {
+      const skipped = count - lastBellCount - 1;
+      lastBellCount = count;
+      // A bell landing exactly on the end is left to the closing bell
+      if (end === 0 || due.atMs < end) {
+        const info = { index: count, atMs: due.atMs, lateMs: ms - due.atMs, skipped };
+        sound(`b${count}`, due.kind, info);
+        changed(ms);
+        emit('bell', { kind: due.kind, ...info, snapshot });
+      }
+    }
+
+    // Same catch-up rule for cues; none fire at or past the end of a countdown
+    let cue = null;
+    while (cueCount < cueList().length && cueList()[cueCount].atMs <= ms) { cue = cueList()[cueCount]; cueCount++; }
+    if (cue && (end === 0 || cue.atMs < end)) emit('cue', { cue, index: cueCount - 1, lateMs: ms - cue.atMs, snapshot });
+
+    // Offer the next bell (or the closing bell) to the sink once it is inside the lookahead window
+    const nb = bellAt(config.schedule, lastBellCount + 1);
+    let ev = nb && (end === 0 || nb.atMs < end) ? { key: `b${lastBellCount + 1}`, ...nb } : null;
+    if (end > 0 && !ev) ev = { key: 'end', atMs: end, kind: 'end' };
+    if (ev && audio.queue && ev.atMs - ms <= lookaheadMs && queuedKey !== ev.key) {
+      cancelQueued();
+      try { if (audio.queue(ev.key, ev.kind, ev.atMs - ms)) queuedKey = ev.key; } catch { /* ignore */ }
+    }
+
+    if (!snapshot || Math.floor(ms / 1000) !== snapshot.elapsedSecs) changed(ms);
+  }
+
+  const engine = {
+    start() {
+      if (status === 'paused') { engine.resume(); return; }
+      if (status !== 'idle') return;
+      const now = clock.now();
+      startedAt = now; anchorMs = now; offsetMs = 0; lastBellCount = 0; pauses = 0; cueCount = 0; lateMs = 0;
+      status = 'running';
+      try { audio.ring('start', { index: 0, atMs: 0 }); } catch { /* ignore */ }
+      changed(0);
+      emit('start', { snapshot });
+      startTicking();
+      tick();
+    },
+    // Join a group sit starting at `startMs` (epoch ms); rings the start bell only if on time
+    join(startMs) {
+      if (status !== 'idle') return;
+      groupStartMs = Number(startMs); startedAt = groupStartMs;
+      offsetMs = 0; anchorMs = null; lastBellCount = 0; pauses = 0; cueCount = 0; lateMs = 0;
+      status = 'waiting';
+      changed(0);
+      emit('join', { snapshot, startMs: groupStartMs });
+      startTicking();
+      tick();
+    },
+    pause() {
+      if (status !== 'running' || groupStartMs != null) return;
+      offsetMs = elapsedMs(); anchorMs = null; pauses++;
+      status = 'paused';
+      stopTicking(); cancelQueued();
+      changed(offsetMs);
+      emit('pause', { snapshot });
+    },
+    resume() {
+      if (status !== 'paused') return;
+      anchorMs = clock.now(); status = 'running';
+      changed(offsetMs);
+      emit('resume', { snapshot });
+      startTicking();
+      tick();
+    },
+    reset() {
+      if (status === 'idle') return;
+      const previous = buildSnapshot();
+      stopTicking(); cancelQueued();
+      status = 'idle'; anchorMs = null; offsetMs = 0; lastBellCount = 0; pauses = 0; startedAt = null; cueCount = 0; groupStartMs = null; lateMs = 0;
+      changed(0);
+      emit('reset', { previous, snapshot });
+    },
+    // Schedule, length and cues can change at any time; a queued bell is dropped and re-offered.
+    // New cues mid-session start from the current time rather than replaying earlier ones.
+    configure(next) {
+      const cuesChanged = next.cues !== undefined && next.cues !== config.cues;
+      config = { ...config, ...next };
+      if (cuesChanged && status !== 'idle') cueCount = cuesBefore(elapsedMs());
+      cancelQueued();
+      if (status === 'running') tick(); else changed();
+    },
+    // Rebuild state saved by toJSON() (see lib/activeSession.js); no bells are rung
+    restore(saved) {
+      if (!saved) return;
+      stopTicking(); cancelQueued();
+      startedAt = saved.startedAt ?? clock.now();
+      offsetMs = Math.max(0, Number(saved.offsetMs) || 0);
+      lastBellCount = Math.max(0, Number(saved.lastBellCount) || 0);
+      pauses = Math.max(0, Number(saved.pauses) || 0);
+      groupStartMs = Number(saved.groupStartMs) > 0 ? Number(saved.groupStartMs) : null;
+      lateMs = groupStartMs != null ? Math.max(0, Number(saved.lateMs) || 0) : 0;
+      status = saved.finished ? 'finished' : groupStartMs != null && clock.now() < groupStartMs ? 'waiting' : saved.running ? 'running' : 'paused';
+      anchorMs = status === 'running' ? Number(saved.anchorMs) : null;
+      cueCount = cuesBefore(elapsedMs());
+      changed();
+      if (status === 'running' || status === 'waiting') { startTicking(); tick(); }
+    },
+    toJSON: () => ({ startedAt, running: status === 'running', finished: status === 'finished', anchorMs, offsetMs, lastBellCount, pauses, groupStartMs, lateMs }),
+    getSnapshot: () => snapshot,
+    elapsedMs,
+    subscribe(fn) { listeners.add(fn); return () => listeners.delete(fn); },
+    on(type, fn) {
+      if (!handlers.has(type)) handlers.set(type, []);
+      handlers.get(type).push(fn);
+      return () => handlers.set(type, handlers.get(type).filter(h => h !== fn));
+    },
+    // Stop/restart the ticker without touching state (component unmount/remount)
+    detach() { stopTicking(); cancelQueued(); },
+    attach() { if (status === 'running' || status === 'waiting') { startTicking(); tick(); } },
+  };
+
+  snapshot = buildSnapshot(0);
+  return engine;
+}
@@ -0,0 +1,292 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createSessionEngine } from "./sessionEngine.js";
+
+const MIN = 60000;
+const every = (m) => ({ type: 'interval', every: m });
+
+function setup(opts = {}) {
+  const rings = [];
+  const events = [];
+  const audio = { ring: (kind, info) => rings.push({ kind, ...info }), ...opts.audio };
+  const engine = createSessionEngine({ schedule: every(5), ...opts, audio });
+  engine.on('*', (ev) => events.push(ev));
+  return { engine, rings, events };
+}
+
+describe('session engine', () => {
+  beforeEach(() => { vi.useFakeTimers(); vi.setSystemTime(new Date('2026-01-01T08:00:00Z')); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('rings the start bell and counts elapsed time', () => {
+    const { engine, rings } = setup();
+    engine.start();
+    expect(rings.map(r => r.kind)).toEqual(['start']);
+    vi.advanceTimersByTime(90_000);
+    expect(engine.getSnapshot()).toMatchObject({ status: 'running', elapsedSecs: 90 });
+  });
+
+  it('rings interval bells on schedule', () => {
+    const { engine, rings } = setup();
+    engine.start();
+    vi.advanceTimersByTime(5 * MIN + 250);
+    vi.advanceTimersByTime(5 * MIN);
+    expect(rings.map(r => r.kind)).toEqual(['start', 'interval', 'interval']);
+    expect(engine.getSnapshot().lastBellCount).toBe(2);
+  });
+
+  it('does not count paused time', () => {
+    const { engine, rings } = setup();
+    engine.start();
+    vi.advanceTimersByTime(3 * MIN);
+    engine.pause();
+    vi.advanceTimersByTime(20 * MIN);
+    expect(engine.getSnapshot()).toMatchObject({ status: 'paused', elapsedSecs: 180, pauses: 1 });
+    expect(rings).toHaveLength(1);
+
+    engine.resume();
+    vi.advanceTimersByTime(2 * MIN - 1000);
+    expect(rings).toHaveLength(1);
+    vi.advanceTimersByTime(1250);
+    expect(rings.map(r => r.kind)).toEqual(['start', 'interval']);
+  });
+
+  it('start() on a paused session resumes it', () => {
+    const { engine, events } = setup();
+    engine.start();
+    engine.pause();
+    engine.start();
+    expect(engine.getSnapshot().status).toBe('running');
+    expect(events.map(e => e.type)).toEqual(['start', 'pause', 'resume']);
+  });
+
+  it('catches up after a long hidden gap by ringing only the latest bell', () => {
+    const { engine, rings, events } = setup();
+    engine.start();
+    // Throttled/hidden tab: the wall clock jumps while no ticks run
+    vi.setSystemTime(Date.now() + 23 * MIN);
+    vi.advanceTimersByTime(250);
+    expect(rings.map(r => r.kind)).toEqual(['start', 'interval']);
+    const bell = events.find(e => e.type === 'bell');
+    expect(bell).toMatchObject({ index: 4, atMs: 20 * MIN, skipped: 3 });
+    expect(bell.lateMs).toBeGreaterThanOrEqual(3 * MIN);
+    vi.advanceTimersByTime(2 * MIN);
+    expect(rings).toHaveLength(3); // bell 5 at 25:00 rings normally
+  });
+
+  it('finishes a countdown with the closing bell instead of a coinciding interval bell', () => {
+    const { engine, rings, events } = setup({ sessionLength: 10 });
+    engine.start();
+    vi.advanceTimersByTime(10 * MIN + 500);
+    expect(rings.map(r => r.kind)).toEqual(['start', 'interval', 'end']);
+    expect(engine.getSnapshot()).toMatchObject({ status: 'finished', elapsedSecs: 600, remainingSecs: 0 });
+    expect(events.at(-1).type).toBe('finish');
+    vi.advanceTimersByTime(10 * MIN);
+    expect(rings).toHaveLength(3);
+  });
+
+  it('finishes after a gap that passes the end, without ringing skipped bells', () => {
+    const { engine, rings } = setup({ sessionLength: 20 });
+    engine.start();
+    vi.setSystemTime(Date.now() + 45 * MIN);
+    vi.advanceTimersByTime(250);
+    expect(rings.map(r => r.kind)).toEqual(['start', 'end']);
+    expect(engine.getSnapshot().elapsedMs).toBe(20 * MIN);
+  });
+
+  it('reset reports the previous session and returns to idle', () => {
+    const { engine, events } = setup();
+    engine.start();
+    vi.advanceTimersByTime(4 * MIN);
+    engine.pause();
+    engine.reset();
+    const reset = events.at(-1);
+    expect(reset.type).toBe('reset');
+    expect(reset.previous).toMatchObject({ elapsedSecs: 240, pauses: 1, status: 'paused' });
+    expect(engine.getSnapshot()).toMatchObject({ status: 'idle', elapsedMs: 0, hasStarted: false });
+  });
+
+  it('only notifies subscribers when the displayed second changes', () => {
+    const { engine } = setup();
+    const listener = vi.fn();
+    engine.subscribe(listener);
+    engine.start();
+    listener.mockClear();
+    vi.advanceTimersByTime(3000);
+    expect(listener).toHaveBeenCalledTimes(3);
+    const snap = engine.getSnapshot();
+    vi.advanceTimersByTime(250);
+    expect(engine.getSnapshot()).toBe(snap);
+  });
+
+  it('hands bells inside the lookahead to the sink queue and skips ringing them again', () => {
+    const queued = [];
+    const audio = {
+      queue: (key, kind, delayMs) => { queued.push({ key, kind, delayMs }); return true; },
+      consume: () => true,
+      cancel: vi.fn(),
+    };
+    const { engine, rings, events } = setup({ audio, lookaheadMs: 30_000 });
+    engine.start();
+    expect(queued).toHaveLength(0);
+    vi.advanceTimersByTime(5 * MIN - 30_000);
+    expect(queued[0]).toMatchObject({ key: 'b1', kind: 'interval' });
+    vi.advanceTimersByTime(30_250);
+    expect(rings.map(r => r.kind)).toEqual(['start']); // played from the queue
+    expect(events.some(e => e.type === 'bell' && e.index === 1)).toBe(true);
+  });
+
+  it('rings directly when a queued bell did not play', () => {
+    const audio = { queue: () => true, consume: () => false, cancel: vi.fn() };
+    const { engine, rings } = setup({ audio });
+    engine.start();
+    vi.advanceTimersByTime(5 * MIN + 250);
+    expect(rings.map(r => r.kind)).toEqual(['start', 'interval']);
+  });
+
+  it('cancels the queue on pause', () => {
+    const cancel = vi.fn();
+    const { engine } = setup({ audio: { queue: () => true, consume: () => true, cancel } });
+    engine.start();
+    vi.advanceTimersByTime(4.5 * MIN);
+    engine.pause();
+    expect(cancel).toHaveBeenCalled();
+  });
+
+  it('restores a running session from saved state without replaying bells', () => {
+    const { engine: first } = setup();
+    first.start();
+    vi.advanceTimersByTime(12 * MIN);
+    const saved = first.toJSON();
+    first.detach();
+
+    vi.setSystemTime(Date.now() + 2 * MIN); // page reloaded two minutes later
+    const { engine, rings } = setup();
+    engine.restore(saved);
+    expect(engine.getSnapshot()).toMatchObject({ status: 'running', lastBellCount: 2 });
+    expect(engine.getSnapshot().elapsedSecs).toBe(14 * 60);
+    expect(rings).toHaveLength(0);
+    vi.advanceTimersByTime(1 * MIN + 250);
+    expect(rings.map(r => r.kind)).toEqual(['interval']);
+  });
+
+  it('uses an injected clock', () => {
+    let now = 1000;
+    let tick = null;
+    const clock = { now: () => now, startTicker: (fn) => { tick = fn; return () => { tick = null; }; } };
+    const { engine, rings } = setup({ clock, schedule: { type: 'custom', offsets: [1], repeat: 15 } });
+    engine.start();
+    now += 61_000; tick();
+    now += 15 * MIN; tick();
+    expect(rings.map(r => r.atMs)).toEqual([0, MIN, 16 * MIN]);
+    engine.pause();
+    expect(tick).toBeNull();
+  });
+  describe('cues', () => {
+    const cues = [{ atMs: 0, text: 'a' }, { atMs: 30_000, text: 'b' }, { atMs: 5 * MIN, text: 'c' }, { atMs: 6 * MIN, text: 'd' }];
+    const texts = (events) => events.filter(e => e.type === 'cue').map(e => e.cue.text);
+
+    it('emits cues on elapsed time, delayed by pauses', () => {
+      const { engine, events } = setup({ cues });
+      engine.start();
+      expect(texts(events)).toEqual(['a']);
+      vi.advanceTimersByTime(20_000);
+      engine.pause();
+      vi.advanceTimersByTime(5 * MIN);
+      expect(texts(events)).toEqual(['a']);
+      engine.resume();
+      vi.advanceTimersByTime(9_000);
+      expect(texts(events)).toEqual(['a']);
+      vi.advanceTimersByTime(1_250);
+      expect(texts(events)).toEqual(['a', 'b']);
+    });
+
+    it('skips stale cues after a gap', () => {
+      const { engine, events } = setup({ cues });
+      engine.start();
+      vi.setSystemTime(Date.now() + 5.5 * MIN);
+      vi.advanceTimersByTime(250);
+      expect(texts(events)).toEqual(['a', 'c']);
+    });
+
+    it('does not emit cues at or after the end of a countdown', () => {
+      const { engine, events } = setup({ cues, sessionLength: 5 });
+      engine.start();
+      vi.advanceTimersByTime(6 * MIN);
+      expect(texts(events)).toEqual(['a', 'b']);
+    });
+
+    it('does not replay earlier cues after a restore or a script change', () => {
+      const { engine: first } = setup({ cues });
+      first.start();
+      vi.advanceTimersByTime(2 * MIN);
+      const saved = first.toJSON();
+      first.detach();
+
+      const { engine, events } = setup({ cues });
+      engine.restore(saved);
+      engine.configure({ cues: [...cues] });
+      vi.advanceTimersByTime(3 * MIN + 250);
+      expect(texts(events)).toEqual(['c']);
+    });
+  });
+  describe('group sits', () => {
+    it('counts down to the shared start, then rings on it', () => {
+      const { engine, rings, events } = setup();
+      engine.join(Date.now() + 90_000);
+      expect(engine.getSnapshot()).toMatchObject({ status: 'waiting', waiting: true, group: true, hasStarted: true, startsInSecs: 90, elapsedMs: 0 });
+      vi.advanceTimersByTime(60_000);
+      expect(engine.getSnapshot().startsInSecs).toBe(30);
+      expect(rings).toHaveLength(0);
+      vi.advanceTimersByTime(30_000);
+      expect(rings.map(r => r.kind)).toEqual(['start']);
+      expect(events.map(e => e.type)).toEqual(['join', 'start']);
+      vi.advanceTimersByTime(5 * MIN);
+      expect(rings.map(r => r.kind)).toEqual(['start', 'interval']);
+    });
+
+    it('derives elapsed time from the wall clock when joining late, without replaying bells', () => {
+      const { engine, rings, events } = setup();
+      engine.join(Date.now() - 12 * MIN);
+      expect(engine.getSnapshot()).toMatchObject({ status: 'running', elapsedSecs: 12 * 60, lastBellCount: 2 });
+      expect(rings).toHaveLength(0);
+      expect(events.at(-1)).toMatchObject({ type: 'start', group: true, lateMs: 12 * MIN });
+      vi.advanceTimersByTime(3 * MIN + 250);
+      expect(rings.map(r => r.kind)).toEqual(['interval']);
+    });
+
+    it('remembers how late a sitter joined, across a restore, so only the time sat is credited', () => {
+      const { engine: first } = setup();
+      first.join(Date.now() - 20 * MIN);
+      expect(first.getSnapshot()).toMatchObject({ elapsedSecs: 20 * 60, lateMs: 20 * MIN });
+      const saved = first.toJSON();
+      first.detach();
+
+      vi.setSystemTime(Date.now() + 5 * MIN);
+      const { engine } = setup();
+      engine.restore(saved);
+      const snap = engine.getSnapshot();
+      expect(snap.elapsedMs - snap.lateMs).toBe(5 * MIN);
+      expect(snap.startedAt + snap.lateMs).toBe(Date.now() - 5 * MIN);
+      engine.reset();
+      expect(engine.getSnapshot().lateMs).toBe(0);
+    });
+
+    it('ignores pause and restores onto the shared start', () => {
+      const { engine: first } = setup();
+      const startAt = Date.now() + MIN;
+      first.join(startAt);
+      first.pause();
+      expect(first.getSnapshot().status).toBe('waiting');
+      vi.advanceTimersByTime(2 * MIN);
+      first.pause();
+      expect(first.getSnapshot()).toMatchObject({ status: 'running', pauses: 0 });
+      const saved = first.toJSON();
+      first.detach();
+
+      vi.setSystemTime(Date.now() + 30_000);
+      const { engine } = setup();
+      engine.restore(saved);
+      expect(engine.getSnapshot()).toMatchObject({ status: 'running', group: true, elapsedSecs: 90 });
+    });
+  });
+});
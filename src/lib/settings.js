@@ -0,0 +1,121 @@
+// ---- Persistent settings: appearance plus the last-used session setup ----
+// Appearance is applied as data attributes on <html>; the palettes themselves are CSS variables in
+// index.html, whose inline script applies the saved theme before first paint (keep STORAGE_KEY in sync).
+import { DEFAULT_BELL_SOUNDS, BELL_SOUNDS, BELL_TYPES } from "./bellSounds.js";
+import { DEFAULT_MIX, normalizeLevels } from "./soundscape.js";
+import { BELL_INTERVALS, SESSION_LENGTHS } from "./urlConfig.js";
+import { GUIDANCE_MODES } from "./guidance.js";
+import { LOCALES, detectLocale } from "./i18n.js";
+import { BELL_MODES } from "./silentBells.js";
+
+const STORAGE_KEY = 'zensense.settings.v1';
+
+export const THEMES = [
+  { id: 'dark', name: 'Dark', color: '#0d0f17' },
+  { id: 'oled', name: 'OLED black', color: '#000000' },
+  { id: 'light', name: 'Light', color: '#f4f5f8' },
+  { id: 'contrast', name: 'High contrast', color: '#000000' },
+];
+
+// Idle accent with the "running" color that pairs with it (see index.html)
+export const ACCENTS = [
+  { id: 'sky', name: 'Sky', swatch: 'rgb(56,189,248)' },
+  { id: 'violet', name: 'Violet', swatch: 'rgb(167,139,250)' },
+  { id: 'amber', name: 'Amber', swatch: 'rgb(251,191,36)' },
+  { id: 'rose', name: 'Rose', swatch: 'rgb(251,113,133)' },
+  { id: 'jade', name: 'Jade', swatch: 'rgb(52,211,153)' },
+];
+
+export const TIMER_SIZES = [
+  { id: 'small', name: 'Small' },
+  { id: 'medium', name: 'Medium' },
+  { id: 'large', name: 'Large' },
+  { id: 'huge', name: 'Huge' },
+];
+
+export const DIM_MODES = [
+  { id: 'mobile', name: 'On small screens' },
+  { id: 'always', name: 'Always' },
+  { id: 'off', name: 'Never' },
+];
+
+export const DEFAULT_SETTINGS = {
+  // Language: 'auto' follows the browser, else a LOCALES id
+  language: 'auto',
+  // Appearance
+  theme: 'dark',
+  accent: 'sky',
+  timerSize: 'medium',
+  hideClock: false,       // hide the running clock while sitting (still shown when paused)
+  dimMode: 'mobile',
+  dimStrength: 0.35,      // overlay opacity
+  dimDelay: 15,           // seconds after the last touch
+  // Last-used setup
+  bellInterval: 10,
+  scheduleId: 'interval',
+  sessionLength: 0,
+  bellSounds: DEFAULT_BELL_SOUNDS,
+  bellVolume: 1,
+  bellMode: 'audio',      // audio | visual (glow and vibration) | both
+  mixId: 'calm',
+  mixLevels: DEFAULT_MIX,
+  scriptId: '',
+  guidanceMode: 'voice',
+  patternId: '',
+  breathCues: false,
+};
+
+// Keep known values only; anything else falls back to the default
+export function normalizeSettings(raw) {
+  const s = raw && typeof raw === 'object' ? raw : {};
+  const d = DEFAULT_SETTINGS;
+  const oneOf = (list, v, fallback) => list.some(x => x.id === v) ? v : fallback;
+  const num = (v, min, max, fallback) => { const n = Number(v); return Number.isFinite(n) && n >= min && n <= max ? n : fallback; };
+  const id = (v, fallback) => typeof v === 'string' ? v : fallback;
+  const sounds = s.bellSounds && typeof s.bellSounds === 'object' ? s.bellSounds : {};
+  return {
+    language: oneOf(LOCALES, s.language, d.language),
+    theme: oneOf(THEMES, s.theme, d.theme),
+    accent: oneOf(ACCENTS, s.accent, d.accent),
+    timerSize: oneOf(TIMER_SIZES, s.timerSize, d.timerSize),
+    hideClock: !!s.hideClock,
+    dimMode: oneOf(DIM_MODES, s.dimMode, d.dimMode),
+    dimStrength: num(s.dimStrength, 0, 0.9, d.dimStrength),
+    dimDelay: num(s.dimDelay, 3, 300, d.dimDelay),
+    bellInterval: BELL_INTERVALS.includes(Number(s.bellInterval)) ? Number(s.bellInterval) : d.bellInterval,
+    scheduleId: id(s.scheduleId, d.scheduleId) || d.scheduleId,
+    sessionLength: SESSION_LENGTHS.includes(Number(s.sessionLength)) ? Number(s.sessionLength) : d.sessionLength,
+    bellSounds: Object.fromEntries(BELL_TYPES.map(t => [t.id, oneOf(BELL_SOUNDS, sounds[t.id], d.bellSounds[t.id])])),
+    bellVolume: num(s.bellVolume, 0, 1, d.bellVolume),
+    bellMode: oneOf(BELL_MODES, s.bellMode, d.bellMode),
+    mixId: id(s.mixId, d.mixId),
+    mixLevels: s.mixLevels ? normalizeLevels(s.mixLevels) : d.mixLevels,
+    scriptId: id(s.scriptId, d.scriptId),
+    guidanceMode: oneOf(GUIDANCE_MODES, s.guidanceMode, d.guidanceMode),
+    patternId: id(s.patternId, d.patternId),
+    breathCues: !!s.breathCues,
+  };
+}
+
+export function loadSettings() {
+  try { return normalizeSettings(JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')); } catch { return normalizeSettings(null); }
+}
+
+export function saveSettings(settings) {
+  try { localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeSettings(settings))); } catch { /* ignore */ }
+}
+
+export const resolveLanguage = (language) => language === 'auto' ? detectLocale() : language;
+
+// Same attributes the index.html boot script sets, plus the page language/direction and the browser UI color
+export function applySettings({ language, theme, accent, timerSize }) {
+  const root = document.documentElement;
+  const locale = LOCALES.find(l => l.id === resolveLanguage(language)) || LOCALES[0];
+  root.lang = locale.id;
+  root.dir = locale.dir;
+  root.dataset.theme = theme;
+  root.dataset.accent = accent;
+  root.dataset.timerSize = timerSize;
+  const meta = document.querySelector('meta[name="theme-color"]');
+  if (meta) meta.setAttribute('content', (THEMES.find(t => t.id === theme) || THEMES[0]).color);
+}
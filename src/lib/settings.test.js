@@ -0,0 +1,39 @@
+import { describe, it, expect } from "vitest";
+import { normalizeSettings, loadSettings, DEFAULT_SETTINGS } from "./settings.js";
+
+describe('normalizeSettings', () => {
+  it('fills in defaults for missing or garbage input', () => {
+    expect(normalizeSettings(null)).toEqual(DEFAULT_SETTINGS);
+    expect(normalizeSettings("nope")).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('keeps known values and drops unknown ones', () => {
+    const s = normalizeSettings({ theme: 'light', accent: 'neon', timerSize: 'huge', dimMode: 'always', hideClock: 1, bellMode: 'loud' });
+    expect(s.theme).toBe('light');
+    expect(s.accent).toBe(DEFAULT_SETTINGS.accent);
+    expect(s.timerSize).toBe('huge');
+    expect(s.dimMode).toBe('always');
+    expect(s.hideClock).toBe(true);
+    expect(s.bellMode).toBe('audio');
+  });
+
+  it('rejects out-of-range numbers', () => {
+    const s = normalizeSettings({ dimStrength: 2, dimDelay: 1, bellVolume: -1, bellInterval: 7, sessionLength: 20 });
+    expect(s.dimStrength).toBe(DEFAULT_SETTINGS.dimStrength);
+    expect(s.dimDelay).toBe(DEFAULT_SETTINGS.dimDelay);
+    expect(s.bellVolume).toBe(DEFAULT_SETTINGS.bellVolume);
+    expect(s.bellInterval).toBe(DEFAULT_SETTINGS.bellInterval);
+    expect(s.sessionLength).toBe(20);
+  });
+
+  it('falls back per bell type for unknown sounds', () => {
+    const s = normalizeSettings({ bellSounds: { start: 'nope' } });
+    expect(s.bellSounds).toEqual(DEFAULT_SETTINGS.bellSounds);
+  });
+});
+
+describe('loadSettings', () => {
+  it('returns defaults when storage is unavailable', () => {
+    expect(loadSettings()).toEqual(DEFAULT_SETTINGS);
+  });
+});
@@ -0,0 +1,26 @@
+// ---- Silent bells: a screen glow and a vibration in place of (or along with) the sound ----
+
+// How bells are given; `name` is the English label (translated via name('bellMode', mode))
+export const BELL_MODES = [
+  { id: 'audio', name: 'Sound only' },
+  { id: 'visual', name: 'Glow and vibration only' },
+  { id: 'both', name: 'Sound, glow and vibration' },
+];
+
+export const playsSound = (mode) => mode !== 'visual';
+export const showsSignal = (mode) => mode !== 'audio';
+
+export const vibrationSupported = () => typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+
+// One buzz per strike, spaced like the strikes of the bell: [buzz, pause, buzz, …]
+export function vibrationPattern(strikes, gapMs, buzzMs = 400) {
+  const n = Math.max(1, Math.floor(strikes) || 1);
+  const pause = Math.max(0, gapMs - buzzMs);
+  return Array.from({ length: n * 2 - 1 }, (_, i) => i % 2 ? pause : buzzMs);
+}
+
+// Browsers ignore this without a prior user gesture, or while the page is hidden
+export function vibrate(pattern) {
+  if (!vibrationSupported()) return false;
+  try { return navigator.vibrate(pattern); } catch { return false; }
+}
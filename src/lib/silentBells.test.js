@@ -0,0 +1,39 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { vibrationPattern, vibrate, playsSound, showsSignal } from "./silentBells.js";
+
+describe('vibrationPattern', () => {
+  it('buzzes once per strike, spaced like the strikes', () => {
+    expect(vibrationPattern(1, 2500)).toEqual([400]);
+    expect(vibrationPattern(3, 2500)).toEqual([400, 2100, 400, 2100, 400]);
+    expect(vibrationPattern(2, 300, 500)).toEqual([500, 0, 500]);
+  });
+
+  it('always gives at least one buzz', () => {
+    expect(vibrationPattern(0, 2500)).toEqual([400]);
+    expect(vibrationPattern(undefined, 2500)).toEqual([400]);
+  });
+});
+
+describe('bell modes', () => {
+  it('split sound from the glow and vibration', () => {
+    expect(['audio', 'visual', 'both'].map(m => [playsSound(m), showsSignal(m)])).toEqual([[true, false], [false, true], [true, true]]);
+  });
+});
+
+describe('vibrate', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('does nothing where vibration is missing', () => {
+    vi.stubGlobal('navigator', {});
+    expect(vibrate([400])).toBe(false);
+  });
+
+  it('passes the pattern on and survives a throwing implementation', () => {
+    const fn = vi.fn(() => true);
+    vi.stubGlobal('navigator', { vibrate: fn });
+    expect(vibrate([400, 100, 400])).toBe(true);
+    expect(fn).toHaveBeenCalledWith([400, 100, 400]);
+    vi.stubGlobal('navigator', { vibrate: () => { throw new Error('nope'); } });
+    expect(vibrate([400])).toBe(false);
+  });
+});
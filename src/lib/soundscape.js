@@ -0,0 +1,124 @@
+// ---- Ambient soundscape: noise and drone layers generated in WebAudio, mixed per layer ----
+import { defaultI18n } from "./i18n.js";
+import { createNamedStore } from "./namedStore.js";
+
+const NOISE_SECONDS = 6;
+
+export const MIX_LAYERS = [
+  { id: 'white', name: 'White noise' },
+  { id: 'pink', name: 'Pink noise' },
+  { id: 'brown', name: 'Brown noise' },
+  { id: 'rain', name: 'Rain' },
+  { id: 'drone', name: 'Drone' },
+];
+
+export const DEFAULT_MIX = { white: 0, pink: 0, brown: 0.5, rain: 0, drone: 0.3 };
+
+export const BUILTIN_MIXES = [
+  { id: 'calm', name: 'Calm (brown + drone)', builtin: true, levels: DEFAULT_MIX },
+  { id: 'rain', name: 'Soft rain', builtin: true, levels: { white: 0, pink: 0.15, brown: 0.2, rain: 0.7, drone: 0 } },
+  { id: 'focus', name: 'Focus (pink)', builtin: true, levels: { white: 0, pink: 0.6, brown: 0, rain: 0, drone: 0 } },
+  { id: 'drone', name: 'Deep drone', builtin: true, levels: { white: 0, pink: 0, brown: 0.15, rain: 0, drone: 0.8 } },
+];
+
+export function normalizeLevels(levels) {
+  const out = {};
+  MIX_LAYERS.forEach(({ id }) => {
+    const v = Number(levels && levels[id]);
+    out[id] = isFinite(v) ? Math.max(0, Math.min(1, v)) : 0;
+  });
+  return out;
+}
+
+function noiseBuffer(ctx, color) {
+  const len = Math.floor(NOISE_SECONDS * ctx.sampleRate);
+  const buf = ctx.createBuffer(1, len, ctx.sampleRate);
+  const d = buf.getChannelData(0);
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0, last = 0;
+  for (let i = 0; i < len; i++) {
+    const w = Math.random() * 2 - 1;
+    if (color === 'pink') {
+      // Paul Kellet's refined pink filter
+      b0 = 0.99886 * b0 + w * 0.0555179; b1 = 0.99332 * b1 + w * 0.0750759; b2 = 0.969 * b2 + w * 0.153852;
+      b3 = 0.8665 * b3 + w * 0.3104856; b4 = 0.55 * b4 + w * 0.5329522; b5 = -0.7616 * b5 - w * 0.016898;
+      d[i] = (b0 + b1 + b2 + b3 + b4 + b5 + b6 + w * 0.5362) * 0.11; b6 = w * 0.115926;
+    } else if (color === 'brown') {
+      last = (last + 0.02 * w) / 1.02; d[i] = last * 3.5;
+    } else {
+      d[i] = w * 0.5;
+    }
+  }
+  return buf;
+}
+
+// Build every layer into its own gain; returns a small controller.
+// Output goes to a MediaStream (played by an <audio> element, which keeps mobile pipelines
+// alive in the background) or straight to the context destination where that is unsupported.
+export function createSoundscape(ctx, levels = DEFAULT_MIX) {
+  const master = ctx.createGain();
+  const sources = [];
+  const gains = {};
+  let stream = null;
+  if (ctx.createMediaStreamDestination) {
+    try { const dest = ctx.createMediaStreamDestination(); master.connect(dest); stream = dest.stream; } catch { stream = null; }
+  }
+  if (!stream) { master.gain.value = 0; master.connect(ctx.destination); } // muted until the app sets a volume
+
+  const layerGain = (id) => { const g = ctx.createGain(); g.gain.value = 0; g.connect(master); gains[id] = g; return g; };
+  const loop = (buf) => { const s = ctx.createBufferSource(); s.buffer = buf; s.loop = true; sources.push(s); return s; };
+  const osc = (type, freq) => { const o = ctx.createOscillator(); o.type = type; o.frequency.value = freq; sources.push(o); return o; };
+
+  ['white', 'pink', 'brown'].forEach(color => loop(noiseBuffer(ctx, color)).connect(layerGain(color)));
+
+  // Rain: band-limited noise with a slow swell
+  const rainOut = layerGain('rain');
+  const rainSwell = ctx.createGain(); rainSwell.gain.value = 0.75; rainSwell.connect(rainOut);
+  const hp = ctx.createBiquadFilter(); hp.type = 'highpass'; hp.frequency.value = 500;
+  const bp = ctx.createBiquadFilter(); bp.type = 'bandpass'; bp.frequency.value = 2200; bp.Q.value = 0.4;
+  loop(noiseBuffer(ctx, 'white')).connect(hp); hp.connect(bp); bp.connect(rainSwell);
+  const rainLfo = osc('sine', 0.13); const rainDepth = ctx.createGain(); rainDepth.gain.value = 0.25;
+  rainLfo.connect(rainDepth); rainDepth.connect(rainSwell.gain);
+
+  // Drone: slightly detuned root plus a fifth, through a slowly moving low-pass
+  const droneOut = layerGain('drone');
+  const lp = ctx.createBiquadFilter(); lp.type = 'lowpass'; lp.frequency.value = 600; lp.Q.value = 0.7;
+  const droneMix = ctx.createGain(); droneMix.gain.value = 0.3; lp.connect(droneMix); droneMix.connect(droneOut);
+  [['triangle', 110, 1], ['triangle', 110.6, 1], ['sine', 164.8, 0.4]].forEach(([type, f, amp]) => {
+    const g = ctx.createGain(); g.gain.value = amp; osc(type, f).connect(g); g.connect(lp);
+  });
+  const droneLfo = osc('sine', 0.05); const droneDepth = ctx.createGain(); droneDepth.gain.value = 200;
+  droneLfo.connect(droneDepth); droneDepth.connect(lp.frequency);
+
+  sources.forEach(s => { try { s.start(); } catch { /* ignore */ } });
+
+  const setLevel = (id, v) => {
+    const g = gains[id]; if (!g) return;
+    try { g.gain.setTargetAtTime(v, ctx.currentTime, 0.15); } catch { g.gain.value = v; }
+  };
+  const setLevels = (next) => { const n = normalizeLevels(next); Object.keys(n).forEach(id => setLevel(id, n[id])); };
+  setLevels(levels);
+
+  return {
+    ctx,
+    stream,
+    setLevels,
+    // Only meaningful without a stream; with a stream the <audio> element's volume/mute apply
+    setMaster: (v) => { try { master.gain.setTargetAtTime(v, ctx.currentTime, 0.05); } catch { master.gain.value = v; } },
+    stop: () => {
+      sources.forEach(s => { try { s.stop(); s.disconnect(); } catch { /* ignore */ } });
+      try { master.disconnect(); } catch { /* ignore */ }
+    },
+  };
+}
+
+// ---- Saved mixes (localStorage) ----
+const store = createNamedStore('zensense.mixes.v1', BUILTIN_MIXES, ['levels'], m => ({ levels: normalizeLevels(m.levels) }));
+
+export const loadMixes = (t = defaultI18n.t) => store.load(t('common.untitled'));
+
+export function saveMix(mixes, name, levels, t = defaultI18n.t) {
+  const { items, item } = store.add(mixes, name, { levels: normalizeLevels(levels) }, t('mixer.defaultName'));
+  return { mixes: items, mix: item };
+}
+
+export const deleteMix = store.remove;
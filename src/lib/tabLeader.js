@@ -0,0 +1,54 @@
+// ---- Tab coordination over BroadcastChannel: one tab per machine plays the bells ----
+// Every tab on the channel sends a heartbeat; the tab that joined first (ties broken by id) leads.
+// A tab that stops beating (closed, frozen) drops out after `timeoutMs` and the next one takes over.
+// Without BroadcastChannel every tab is its own leader.
+export function createTabLeader(name, {
+  createChannel = (n) => (typeof BroadcastChannel !== 'undefined' ? new BroadcastChannel(n) : null),
+  now = () => Date.now(),
+  heartbeatMs = 1500,
+  timeoutMs = 4500,
+  onChange = () => {},
+} = {}) {
+  const self = { id: Math.random().toString(36).slice(2), since: now() };
+  const peers = new Map(); // id -> { since, seen }
+  let channel = null;
+  try { channel = createChannel(name); } catch { channel = null; }
+  let leader = true;
+
+  const ahead = (a, b) => a.since < b.since || (a.since === b.since && a.id < b.id);
+  const evaluate = () => {
+    const t = now();
+    peers.forEach((p, id) => { if (t - p.seen > timeoutMs) peers.delete(id); });
+    const next = [...peers.entries()].every(([id, p]) => ahead(self, { id, since: p.since }));
+    if (next !== leader) { leader = next; onChange(leader); }
+  };
+  const post = (type) => { try { channel && channel.postMessage({ type, id: self.id, since: self.since }); } catch { /* ignore */ } };
+
+  const onMessage = (e) => {
+    const m = e.data;
+    if (!m || typeof m.id !== 'string' || m.id === self.id) return;
+    if (m.type === 'bye') peers.delete(m.id);
+    else {
+      const known = peers.has(m.id);
+      peers.set(m.id, { since: Number(m.since) || 0, seen: now() });
+      if (!known && m.type === 'hello') post('beat'); // let a newcomer learn about us right away
+    }
+    evaluate();
+  };
+
+  let timer = null;
+  if (channel) {
+    channel.onmessage = onMessage;
+    post('hello');
+    timer = setInterval(() => { post('beat'); evaluate(); }, heartbeatMs);
+  }
+
+  return {
+    isLeader: () => leader,
+    close() {
+      if (timer) clearInterval(timer);
+      if (channel) { post('bye'); try { channel.close(); } catch { /* ignore */ } }
+      channel = null;
+    },
+  };
+}
@@ -0,0 +1,69 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from "vitest";
+import { createTabLeader } from "./tabLeader.js";
+
+// Synchronous in-memory stand-in for BroadcastChannel
+function createBus() {
+  const members = new Set();
+  return (name) => {
+    const ch = {
+      onmessage: null,
+      postMessage: (data) => members.forEach(m => m !== ch && m.name === name && m.onmessage && m.onmessage({ data })),
+      close: () => members.delete(ch),
+      name,
+    };
+    members.add(ch);
+    return ch;
+  };
+}
+
+describe('createTabLeader', () => {
+  beforeEach(() => { vi.useFakeTimers(); vi.setSystemTime(new Date('2026-01-01T08:00:00Z')); });
+  afterEach(() => { vi.useRealTimers(); });
+
+  it('leaves the oldest tab as the only leader', () => {
+    const createChannel = createBus();
+    const a = createTabLeader('g', { createChannel });
+    vi.advanceTimersByTime(10);
+    const b = createTabLeader('g', { createChannel });
+    expect(a.isLeader()).toBe(true);
+    expect(b.isLeader()).toBe(false);
+    a.close(); b.close();
+  });
+
+  it('hands over when the leader closes or goes silent', () => {
+    const bus = createBus();
+    const channels = [];
+    const createChannel = (n) => { const ch = bus(n); channels.push(ch); return ch; };
+    const a = createTabLeader('g', { createChannel });
+    vi.advanceTimersByTime(10);
+    const b = createTabLeader('g', { createChannel });
+    vi.advanceTimersByTime(10);
+    const onChange = vi.fn();
+    const c = createTabLeader('g', { createChannel, onChange });
+
+    a.close();
+    expect(b.isLeader()).toBe(true);
+    expect(c.isLeader()).toBe(false);
+
+    // b freezes: its heartbeats stop without a goodbye
+    channels[1].postMessage = () => {};
+    vi.advanceTimersByTime(6000);
+    expect(c.isLeader()).toBe(true);
+    expect(onChange).toHaveBeenLastCalledWith(true);
+    b.close(); c.close();
+  });
+
+  it('is always the leader without BroadcastChannel', () => {
+    const t = createTabLeader('g', { createChannel: () => null });
+    expect(t.isLeader()).toBe(true);
+    t.close();
+  });
+
+  it('keeps separate group sits apart', () => {
+    const createChannel = createBus();
+    const a = createTabLeader('g1', { createChannel });
+    const b = createTabLeader('g2', { createChannel });
+    expect(a.isLeader() && b.isLeader()).toBe(true);
+    a.close(); b.close();
+  });
+});
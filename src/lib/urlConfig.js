@@ -0,0 +1,114 @@
+// ---- Deep links: session setup carried in the URL query (or hash) ----
+//   ?bell=15&length=30&sound=bowl&music=off
+// bell: minutes between bells; schedule: built-in preset id (replaces bell); plan: the schedule itself
+// (lib/schedules.js encodeSchedule), for presets only the sender has; length: minutes or "open";
+// sound: one bell sound for every bell, or "start,interval,end"; music: on/off.
+// Group sits add an absolute start and always carry the plan:
+//   ?at=2026-05-04T18:00:00Z&plan=interval:15&length=30
+import { BELL_SOUNDS, DEFAULT_BELL_SOUNDS } from "./bellSounds.js";
+import { BUILTIN_PRESETS, encodeSchedule, decodeSchedule } from "./schedules.js";
+
+export const BELL_INTERVALS = [2, 5, 10, 15, 20, 30, 45, 60]; // minutes
+export const SESSION_LENGTHS = [5, 10, 15, 20, 25, 30, 45, 60, 90]; // minutes; 0 = open-ended
+export const DEFAULT_CONFIG = { bellInterval: 10, scheduleId: 'interval', sessionLength: 0, bellSounds: DEFAULT_BELL_SOUNDS, music: true };
+
+const KEYS = ['bell', 'schedule', 'length', 'sound', 'music', 'at', 'plan'];
+
+// Query wins over hash; the hash form is accepted so static hosts never see the parameters
+function linkParams(location) {
+  const query = new URLSearchParams(location.search);
+  if (KEYS.some(k => query.has(k))) return query;
+  const hash = new URLSearchParams(String(location.hash || '').replace(/^#\??/, ''));
+  return KEYS.some(k => hash.has(k)) ? hash : null;
+}
+
+// Returns null when the URL carries no setup, else { config, invalid }: `config` holds only the
+// settings the link sets (valid ones), `invalid` names the ones that fell back to defaults.
+export function readUrlConfig(location, presets = []) {
+  const params = linkParams(location);
+  if (!params) return null;
+  const config = {}, invalid = [];
+  const get = (k) => params.get(k) != null ? params.get(k).trim().toLowerCase() : null;
+
+  const bell = get('bell');
+  if (bell != null) {
+    if (BELL_INTERVALS.includes(Number(bell))) config.bellInterval = Number(bell);
+    else invalid.push(`bell=${bell}`);
+  }
+  const schedule = params.get('schedule');
+  if (schedule != null) {
+    const preset = presets.find(p => p.id === schedule.trim());
+    if (preset) config.scheduleId = preset.id; else invalid.push(`schedule=${schedule}`);
+  }
+  const at = params.get('at');
+  if (at != null) {
+    const ms = /^\d+$/.test(at.trim()) ? Number(at) : Date.parse(at);
+    if (Number.isFinite(ms) && ms > 0) config.groupStart = ms; else invalid.push(`at=${at}`);
+  }
+  const plan = params.get('plan');
+  if (plan != null) {
+    const decoded = decodeSchedule(plan.trim());
+    // Outside a group sit, a plan that matches a preset here simply selects it
+    const match = decoded && config.groupStart == null && presets.find(p => encodeSchedule(p.schedule) === encodeSchedule(decoded));
+    if (match) config.scheduleId = match.id;
+    else if (decoded) config.schedule = decoded;
+    else invalid.push(`plan=${plan}`);
+  }
+  const length = get('length');
+  if (length != null) {
+    if (length === 'open' || length === '0') config.sessionLength = 0;
+    else if (SESSION_LENGTHS.includes(Number(length))) config.sessionLength = Number(length);
+    else invalid.push(`length=${length}`);
+  }
+  const sound = get('sound');
+  if (sound != null) {
+    const ids = sound.split(',').map(s => s.trim());
+    const ok = ids.every(id => BELL_SOUNDS.some(b => b.id === id)) && (ids.length === 1 || ids.length === 3);
+    if (ok) config.bellSounds = ids.length === 1 ? { start: ids[0], interval: ids[0], end: ids[0] } : { start: ids[0], interval: ids[1], end: ids[2] };
+    else invalid.push(`sound=${sound}`);
+  }
+  const music = get('music');
+  if (music != null) {
+    if (['on', '1', 'true', 'yes'].includes(music)) config.music = true;
+    else if (['off', '0', 'false', 'no'].includes(music)) config.music = false;
+    else invalid.push(`music=${music}`);
+  }
+  return { config, invalid };
+}
+
+// Query string for a setup; with `all` false, settings equal to the defaults are left out.
+// With `groupStart` set it is a group-sit link carrying the full `schedule`; so is a user-made preset,
+// whose id means nothing on another device.
+export function configParams({ bellInterval, scheduleId, sessionLength, bellSounds, music, groupStart, schedule }, all = true) {
+  const d = DEFAULT_CONFIG, params = new URLSearchParams();
+  const sameSounds = bellSounds.start === bellSounds.interval && bellSounds.interval === bellSounds.end;
+  const soundsDefault = ['start', 'interval', 'end'].every(t => bellSounds[t] === d.bellSounds[t]);
+  if (groupStart) {
+    params.set('at', new Date(groupStart).toISOString().replace('.000Z', 'Z'));
+    params.set('plan', encodeSchedule(schedule));
+  } else if (scheduleId && scheduleId !== 'interval') {
+    if (schedule && !BUILTIN_PRESETS.some(p => p.id === scheduleId)) params.set('plan', encodeSchedule(schedule));
+    else params.set('schedule', scheduleId);
+  }
+  else if (all || bellInterval !== d.bellInterval) params.set('bell', String(bellInterval));
+  if (all || sessionLength !== d.sessionLength) params.set('length', sessionLength ? String(sessionLength) : 'open');
+  if (all || !soundsDefault) params.set('sound', sameSounds ? bellSounds.start : [bellSounds.start, bellSounds.interval, bellSounds.end].join(','));
+  if (all || music !== d.music) params.set('music', music ? 'on' : 'off');
+  return params.toString();
+}
+
+// Full shareable link under the app's base path ('/' or '/zensense/')
+export const configLink = (basePath, config) => `${window.location.origin}${basePath}?${configParams(config)}`;
+
+// Mirror the current setup in the address bar without adding history entries.
+// Unrelated query parameters are kept; a setup passed in the hash moves to the query.
+export function writeUrlConfig(config) {
+  try {
+    const url = new URL(window.location.href);
+    KEYS.forEach(k => url.searchParams.delete(k));
+    new URLSearchParams(configParams(config, false)).forEach((v, k) => url.searchParams.set(k, v));
+    const hash = new URLSearchParams(url.hash.replace(/^#\??/, ''));
+    if (KEYS.some(k => hash.has(k))) url.hash = '';
+    if (url.href !== window.location.href) window.history.replaceState(window.history.state, '', url.href);
+  } catch { /* ignore */ }
+}
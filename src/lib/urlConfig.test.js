@@ -0,0 +1,83 @@
+import { describe, it, expect } from "vitest";
+import { readUrlConfig, configParams, DEFAULT_CONFIG } from "./urlConfig.js";
+
+const loc = (search = '', hash = '') => ({ search, hash });
+const presets = [{ id: 'pomodoro-25', name: 'Pomodoro 25/5' }];
+
+describe('readUrlConfig', () => {
+  it('returns null when the URL carries no setup', () => {
+    expect(readUrlConfig(loc('?utm_source=x'))).toBeNull();
+  });
+
+  it('reads bell, length, sound and music from the query', () => {
+    expect(readUrlConfig(loc('?bell=15&length=30&sound=bowl&music=off'), presets)).toEqual({
+      config: { bellInterval: 15, sessionLength: 30, bellSounds: { start: 'bowl', interval: 'bowl', end: 'bowl' }, music: false },
+      invalid: [],
+    });
+  });
+
+  it('accepts the hash form, per-type sounds, open length and schedule presets', () => {
+    const { config } = readUrlConfig(loc('', '#schedule=pomodoro-25&length=open&sound=bell,bowl,gong'), presets);
+    expect(config).toEqual({ scheduleId: 'pomodoro-25', sessionLength: 0, bellSounds: { start: 'bell', interval: 'bowl', end: 'gong' } });
+  });
+
+  it('drops invalid values and lists them', () => {
+    const { config, invalid } = readUrlConfig(loc('?bell=7&length=30&sound=kazoo&music=loud&schedule=nope'), presets);
+    expect(config).toEqual({ sessionLength: 30 });
+    expect(invalid).toEqual(['bell=7', 'schedule=nope', 'sound=kazoo', 'music=loud']);
+  });
+});
+
+describe('configParams', () => {
+  const setup = { ...DEFAULT_CONFIG, bellInterval: 15, sessionLength: 30, bellSounds: { start: 'bowl', interval: 'bowl', end: 'bowl' } };
+
+  it('writes a full link that reads back to the same setup', () => {
+    const query = configParams({ ...setup, music: false });
+    expect(query).toBe('bell=15&length=30&sound=bowl&music=off');
+    expect(readUrlConfig(loc(`?${query}`)).config).toEqual({ bellInterval: 15, sessionLength: 30, bellSounds: setup.bellSounds, music: false });
+  });
+
+  it('leaves defaults out of the address-bar form', () => {
+    expect(configParams(DEFAULT_CONFIG, false)).toBe('');
+    expect(configParams({ ...DEFAULT_CONFIG, scheduleId: 'pomodoro-25', bellInterval: 15 }, false)).toBe('schedule=pomodoro-25');
+  });
+});
+
+describe('user-made presets', () => {
+  const schedule = { type: 'custom', offsets: [2], repeat: 10 };
+
+  it('travel as a plan, since their id only exists on the sender\'s device', () => {
+    const query = configParams({ ...DEFAULT_CONFIG, scheduleId: 'user-abc', schedule }, false);
+    expect(query).toBe('plan=custom%3A2%2F10');
+    expect(readUrlConfig(loc(`?${query}`), presets)).toEqual({ config: { schedule }, invalid: [] });
+    expect(configParams({ ...DEFAULT_CONFIG, scheduleId: 'pomodoro-25', schedule }, false)).toBe('schedule=pomodoro-25');
+  });
+
+  it('select a preset here when the plan matches one', () => {
+    const here = [...presets, { id: 'user-xyz', name: 'Mine', schedule }];
+    expect(readUrlConfig(loc('?plan=custom:2/10'), here).config).toEqual({ scheduleId: 'user-xyz' });
+  });
+});
+
+describe('group sit links', () => {
+  it('carry the start time and the schedule itself', () => {
+    const startAt = Date.parse('2026-05-04T18:00:00Z');
+    const schedule = { type: 'custom', offsets: [1, 6], repeat: 15 };
+    const query = configParams({ ...DEFAULT_CONFIG, sessionLength: 30, groupStart: startAt, schedule });
+    expect(query).toContain('at=2026-05-04T18%3A00%3A00Z&plan=custom%3A1%2C6%2F15');
+    expect(readUrlConfig(loc(`?${query}`)).config).toMatchObject({ groupStart: startAt, schedule, sessionLength: 30 });
+  });
+
+  it('round-trip every schedule type', () => {
+    [{ type: 'interval', every: 15 }, { type: 'custom', offsets: [], repeat: 20 }, { type: 'pomodoro', work: 25, shortBreak: 5, longBreak: 15, cycles: 4 }]
+      .forEach(schedule => {
+        const query = configParams({ ...DEFAULT_CONFIG, groupStart: 1_800_000_000_000, schedule });
+        expect(readUrlConfig(loc(`?${query}`)).config.schedule).toEqual(schedule);
+      });
+  });
+
+  it('reject unreadable start times and plans', () => {
+    expect(readUrlConfig(loc('?at=soon&plan=weekly:3')).invalid).toEqual(['at=soon', 'plan=weekly:3']);
+    expect(readUrlConfig(loc('?at=1800000000000')).config).toEqual({ groupStart: 1_800_000_000_000 });
+  });
+});
@@ -0,0 +1,33 @@
+// ---- React binding for the breathing pacer ----
+import { useEffect, useRef, useState } from "react";
+import { useMotionValue } from "framer-motion";
+import { breathAt } from "./breathing.js";
+
+// Drives `expansion` (0–1 motion value, updated every frame without re-rendering) from the engine's
+// elapsed time while the session runs; `breath` only changes on a new phase or second.
+// onPhase(phaseId) fires when a phase begins during a running session (not again on resume).
+export function useBreathPacer(engine, pattern, { running, hasStarted, onPhase } = {}) {
+  const expansion = useMotionValue(0);
+  const [breath, setBreath] = useState(null);
+  const lastKeyRef = useRef(null);
+  const onPhaseRef = useRef(onPhase);
+  useEffect(() => { onPhaseRef.current = onPhase; });
+
+  useEffect(() => {
+    if (!pattern || !hasStarted) { lastKeyRef.current = null; expansion.set(0); setBreath(null); return; }
+    const update = () => {
+      const b = breathAt(pattern, engine.elapsedMs());
+      expansion.set(b.expansion);
+      const key = `${b.cycle}:${b.index}`;
+      if (running && key !== lastKeyRef.current) { lastKeyRef.current = key; onPhaseRef.current?.(b.phase); }
+      const secsLeft = Math.ceil(b.remainingMs / 1000);
+      setBreath(prev => prev && prev.key === key && prev.secsLeft === secsLeft ? prev : { key, phase: b.phase, label: b.label, secsLeft });
+    };
+    update();
+    if (!running) return; // paused/finished: hold the current breath
+    let raf = requestAnimationFrame(function frame() { update(); raf = requestAnimationFrame(frame); });
+    return () => cancelAnimationFrame(raf);
+  }, [engine, pattern, running, hasStarted, expansion]);
+
+  return { expansion, breath };
+}
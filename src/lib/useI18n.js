@@ -0,0 +1,8 @@
+// ---- React binding for translations ----
+import { createContext, useContext } from "react";
+import { defaultI18n } from "./i18n.js";
+
+// App provides the instance for the chosen language; without a provider components render English
+export const I18nContext = createContext(defaultI18n);
+
+export const useI18n = () => useContext(I18nContext);
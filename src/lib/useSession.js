@@ -0,0 +1,40 @@
+// ---- React binding for the session engine ----
+import { useEffect, useLayoutEffect, useRef, useState, useSyncExternalStore } from "react";
+import { createSessionEngine } from "./sessionEngine.js";
+
+// `audio` and `onEvent` may change every render; the engine always calls the latest ones.
+// `restore` (saved engine state) is only read on the first render, and applied once the component
+// mounts: restoring ticks and starts the clock, which must not happen during render.
+export function useSession({ schedule, sessionLength, cues, audio, onEvent, clock, restore } = {}) {
+  const audioRef = useRef(audio);
+  const onEventRef = useRef(onEvent);
+  const restoreRef = useRef(restore);
+  useEffect(() => { audioRef.current = audio; onEventRef.current = onEvent; });
+
+  const [engine] = useState(() => createSessionEngine({
+    clock,
+    schedule,
+    sessionLength,
+    cues,
+    audio: {
+      ring: (...args) => audioRef.current?.ring?.(...args),
+      queue: (...args) => audioRef.current?.queue?.(...args),
+      consume: (...args) => audioRef.current?.consume?.(...args),
+      cancel: () => audioRef.current?.cancel?.(),
+    },
+  }));
+
+  // Before paint, so a restored session never flashes the idle screen; only once under StrictMode
+  useLayoutEffect(() => {
+    const saved = restoreRef.current;
+    restoreRef.current = null;
+    if (saved) engine.restore(saved);
+  }, [engine]);
+  useEffect(() => engine.on('*', (ev) => onEventRef.current?.(ev)), [engine]);
+  useEffect(() => { engine.configure({ schedule, sessionLength }); }, [engine, schedule, sessionLength]);
+  useEffect(() => { engine.configure({ cues: cues || [] }); }, [engine, cues]);
+  useEffect(() => { engine.attach(); return () => engine.detach(); }, [engine]);
+
+  const snapshot = useSyncExternalStore(engine.subscribe, engine.getSnapshot);
+  return { ...snapshot, engine, start: engine.start, pause: engine.pause, resume: engine.resume, reset: engine.reset };
+}
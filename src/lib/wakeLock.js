@@ -0,0 +1,26 @@
+// ---- Keep the screen awake: Screen Wake Lock API plus a muted looping <video> for iOS ----
+export function createWakeKeeper(getVideo) {
+  let lock = null;
+
+  const keepAwake = async () => {
+    const v = getVideo();
+    if (v) {
+      try { v.muted = true; v.loop = true; v.setAttribute('playsinline', ''); } catch { /* ignore */ }
+      const p = v.play(); if (p && p.catch) p.catch(() => {});
+    }
+    try {
+      if (navigator.wakeLock && navigator.wakeLock.request) {
+        try { await lock?.release?.(); } catch { /* ignore */ }
+        lock = await navigator.wakeLock.request('screen');
+      }
+    } catch { /* ignore */ }
+  };
+
+  const allowSleep = async () => {
+    try { getVideo()?.pause?.(); } catch { /* ignore */ }
+    try { await lock?.release?.(); } catch { /* ignore */ }
+    lock = null;
+  };
+
+  return { keepAwake, allowSleep };
+}
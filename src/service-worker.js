@@ -0,0 +1,68 @@
+// ---- ZenSense service worker (emitted as sw.js by the build; see vite.config.js) ----
+// Precaches the app shell and audio so the app starts fully offline. Paths are relative to the
+// registration scope, so the same worker serves both '/' and '/zensense/' deployments.
+const BUILD = self.__ZENSENSE_BUILD__;
+const PRECACHE = self.__ZENSENSE_PRECACHE__;
+const CACHE = `zensense-${BUILD}`;
+const RUNTIME = `zensense-runtime-${BUILD}`; // per build too, so files fetched for an old build are dropped with it
+
+const scoped = (path) => new URL(path, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE).then(cache => cache.addAll(PRECACHE.map(scoped))));
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches (precache and runtime) from earlier builds once this one takes over
+  event.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys.filter(k => k.startsWith('zensense-') && k !== CACHE && k !== RUNTIME).map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+// The page asks the waiting worker to take over when the user accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Media elements ask for byte ranges; answer those from the full cached response
+async function rangeResponse(request, response) {
+  const match = /bytes=(\d*)-(\d*)/.exec(request.headers.get('range') || '');
+  if (!match) return response;
+  const blob = await response.blob();
+  const start = match[1] ? parseInt(match[1], 10) : Math.max(0, blob.size - parseInt(match[2], 10));
+  const end = match[1] && match[2] ? Math.min(parseInt(match[2], 10), blob.size - 1) : blob.size - 1;
+  if (start >= blob.size) return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': response.headers.get('content-type') || 'application/octet-stream',
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Content-Length': String(end - start + 1),
+    },
+  });
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // Navigations: network first so deploys show up, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(async () => (await caches.match(scoped('index.html'))) || Response.error()));
+    return;
+  }
+
+  // Everything else: cache first (precache, then runtime), filling the runtime cache from the network
+  event.respondWith((async () => {
+    const cached = await caches.match(request.url, { ignoreSearch: true });
+    if (cached) return request.headers.has('range') ? rangeResponse(request, cached) : cached;
+    const response = await fetch(request);
+    if (response.ok && response.status === 200) {
+      const copy = response.clone();
+      caches.open(RUNTIME).then(cache => cache.put(request.url, copy)).catch(() => {});
+    }
+    return response;
+  })());
+});
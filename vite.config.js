@@ -1,8 +1,46 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { LOCALES } from './src/lib/i18n.js'
+
+// Emit sw.js with the build's file list baked in, so the worker can precache the app shell
+// and the audio in public/. A new build gets a new cache name, which retires the old one.
+function serviceWorker() {
+  return {
+    name: 'zensense-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const built = Object.keys(bundle).filter(f => !f.endsWith('.map'))
+      const files = [...new Set([...built, ...readdirSync('public')])].sort()
+      const template = readFileSync('src/service-worker.js', 'utf8')
+      // Hash contents, not just names: a public/ file changed under the same name needs a new cache too
+      const hash = createHash('sha256').update(files.join('\n')).update(template)
+      files.forEach(f => {
+        const out = bundle[f]
+        hash.update(out ? (out.type === 'chunk' ? out.code : out.source) : readFileSync(`public/${f}`))
+      })
+      const build = hash.digest('hex').slice(0, 12)
+      const source = template
+        .replace('self.__ZENSENSE_BUILD__', JSON.stringify(build))
+        .replace('self.__ZENSENSE_PRECACHE__', JSON.stringify(files))
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+    },
+  }
+}
+
+// The index.html boot script sets the page direction before first paint; give it the locale
+// ids and directions from src/lib/i18n.js so the two never disagree
+function bootLocales() {
+  return {
+    name: 'zensense-boot-locales',
+    transformIndexHtml: (html) => html.replace('self.__ZENSENSE_LOCALES__', JSON.stringify(LOCALES.map(({ id, dir }) => ({ id, dir })))),
+  }
+}
 
 export default defineConfig({
-  plugins: [react(), tailwindcss()],
+  plugins: [react(), tailwindcss(), serviceWorker(), bootLocales()],
   base: '/',
 })